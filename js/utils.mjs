@@ -3,7 +3,17 @@
 export const AJAX = {
     fetchWithCSRF,
     safeFetch,
+    createClient,
+    getDefaultClient,
+    invalidateCache,
+    upload,
+    trackDownloadProgress,
+    createResumableUpload,
+    createUploadAdapter,
+    createOfflineQueue,
     checkMultipartBinary,
+    parseMultipart,
+    readMultipart,
     createHeaders,
     normalizeError,
     getResponseType,
@@ -12,10 +22,19 @@ export const AJAX = {
 
 export const Forms = {
     formValidate,
+    createValidator,
+    applyServerErrors,
     validateInputRegex,
     passwordStrengthRegex,
+    analyzePassword,
+    bindPasswordStrength,
     togglePasswordVisibility,
     serializeForm,
+    populateForm,
+    resetForm,
+    trackForm,
+    autosaveForm,
+    ajaxSubmit,
     disableForm,
     formParser,
     objectContainsFile
@@ -23,17 +42,29 @@ export const Forms = {
 
 export const Cookies = {
     getCookie,
+    setCookie,
+    deleteCookie,
+    getAll: getAllCookies,
     getCSRFToken,
     isCSRFTokenAvailable,
     StorageHelpers,
+    createStorage,
+    createIndexedDBStorage,
 };
 
 export const URLUtils = {
     URLHelpers,
+    createQueryState,
     shareLinkSocialMedia,
+    shareLink,
+    registerShareTarget,
+    getShareTargets,
+    renderShareButtons,
     buildQuery,
+    parseQuery,
+    buildURL,
     isURL,
-
+    normalizeURL,
 };
 
 export const UI = {
@@ -49,6 +80,8 @@ export const UI = {
 
 export const Time = {
     nowTimestamp,
+    formatDate,
+    formatRelativeTime,
 };
 
 export const DOM = {
@@ -71,866 +104,4910 @@ export const Utils = {
 /*========================================================= functions ==================================================*/
 
 
+/**
+ * Default retry policy for safeFetch.
+ * Only idempotent methods are retried, and only on network failures or transient HTTP statuses.
+ */
+const RETRY_DEFAULTS = {
+    retries: 0,
+    baseDelay: 300,
+    maxDelay: 10000,
+    factor: 2,
+    jitter: true,
+    statusCodes: [408, 425, 429, 500, 502, 503, 504],
+    methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+    respectRetryAfter: true,
+    maxRetryAfter: 60000,
+    onRetry: null,
+};
+
+
 /**
  * Safe fetch wrapper with retry logic and timeout
  * @param {string} url - The URL to fetch
  * @param {RequestInit} options - Fetch options
  * @param {Object} config - Configuration object
  * @param {boolean} config.autoJSON - Auto parse JSON response
- * @param {number} config.retries - Number of retry attempts
- * @param {number} config.timeout - Request timeout in ms
+ * @param {number} config.retries - Number of retry attempts (shorthand for `config.retry.retries`)
+ * @param {number} config.timeout - Timeout in ms, restarted for every attempt
+ * @param {number} [config.deadline=0] - Overall budget in ms for all attempts and backoff waits
+ * @param {Object} [config.retry] - Retry policy, merged over the defaults:
+ * @param {number} [config.retry.retries=0] - Maximum number of retries
+ * @param {number} [config.retry.baseDelay=300] - Delay before the first retry in ms
+ * @param {number} [config.retry.maxDelay=10000] - Upper bound for the backoff delay in ms
+ * @param {number} [config.retry.factor=2] - Exponential growth factor between attempts
+ * @param {boolean} [config.retry.jitter=true] - Randomize each delay between 50% and 100% of its value
+ * @param {number[]} [config.retry.statusCodes] - HTTP statuses worth retrying (408, 425, 429, 5xx gateway errors)
+ * @param {string[]} [config.retry.methods] - Methods allowed to retry (idempotent ones by default)
+ * @param {boolean} [config.retry.respectRetryAfter=true] - Honour `Retry-After` on 429/503 responses
+ * @param {number} [config.retry.maxRetryAfter=60000] - Cap for server-requested delays in ms
+ * @param {Function} [config.retry.onRetry] - Called as `onRetry({ attempt, delay, error, url, method })`
+ *   before each retry; return `false` to stop retrying
+ * @param {Function} [config.onDownloadProgress] - Called with `{ loaded, total, percent, rate, eta }`
+ *   while the response body streams in (see {@link trackDownloadProgress})
  * @returns {Promise<[Error|null, any]>} Tuple of error and data
  * 
- * safeFetch(url, options = {}, { retries = 0, timeout = 0, autoJSON = true })
+ * safeFetch(url, options = {}, { retries = 0, timeout = 0, deadline = 0, autoJSON = true, retry = {} })
  * 
- * - Auto JSON parsing (falls back to text if not JSON)
- * - Throws on non-OK responses (returns Error with err.status & err.data)
- * - Optional retries + timeout (AbortController)
+ * - Runs through the default client (see {@link getDefaultClient}), so its interceptors apply
+ * - Auto JSON parsing (falls back to text if not JSON, multipart bodies become an array of parts, see {@link readMultipart})
+ * - Throws on non-OK responses (returns Error with err.status, err.data & err.response)
+ * - Optional retries with exponential backoff + per-attempt timeout and overall deadline (AbortController)
+ * - `options.signal` is honoured: aborting it cancels the current attempt and any pending retry
+ * - Timeouts fail with `err.name === "TimeoutError"` (`err.deadline` set when the overall budget ran out),
+ *   caller aborts with `err.name === "AbortError"`, so cancellations can be told apart from network failures
  * - Returns [err, data] instead of try/catch
  * 
  * @example
  * const [err, data] = await safeFetch('/api/items', { method: 'POST', body: { name: 'Test' } }, { retries: 3, timeout: 5000 });
  * if (err) console.warn(`Error ${err.status}:`, err.data);
+ *
+ * @example
+ * // Cancel a stale search when the user keeps typing
+ * const controller = new AbortController();
+ * const [err, results] = await safeFetch(`/api/search?q=${q}`, { signal: controller.signal }, { timeout: 3000, deadline: 10000, retries: 2 });
+ * if (err?.name === 'AbortError') return; // superseded, not a failure
+ *
+ * @example
+ * // Back off politely, log every retry
+ * const [err, items] = await safeFetch('/api/items', {}, {
+ *   retry: { retries: 4, baseDelay: 500, onRetry: ({ attempt, delay }) => console.info(`retry #${attempt} in ${delay}ms`) }
+ * });
  */
-async function safeFetch(url, options = {}, { autoJSON = true, retries = 0, timeout = 0 } = {}) {
+async function safeFetch(url, options = {}, config = {}) {
+    return getDefaultClient().request(url, options, config);
+}
 
-    const controller = new AbortController();
-    const id = timeout ? setTimeout(() => controller.abort(), timeout) : null;
 
-    const opts = {
-        ...options,
-        signal: controller.signal,
-        headers: {
-            Accept: "application/json",
-            ...(options.headers || {}),
-        },
-    };
+/**
+ * The fetch engine behind every client: body encoding, retries, timeouts and response parsing.
+ * Resolves to `[err, data, response]`; `response` is the last Response received, if any.
+ */
+async function executeFetch(url, options = {}, { autoJSON = true, retries = 0, timeout = 0, deadline = 0, retry = {}, onDownloadProgress = null } = {}) {
+
+    const { signal, ...init } = options;
+    const headers = new Headers(options.headers);
+    if (!headers.has("Accept")) headers.set("Accept", "application/json");
 
-    if (autoJSON && opts.body && typeof opts.body === "object" && !(opts.body instanceof FormData)) {
-        // do nothing if multipart or primitives
-        opts.headers["Content-Type"] = "application/json";
+    const opts = { ...init, headers };
+
+    if (autoJSON && (isPlainObject(opts.body) || Array.isArray(opts.body))) {
+        // do nothing if multipart, binary or primitives
+        headers.set("Content-Type", "application/json");
         opts.body = JSON.stringify(opts.body);
     }
 
+    const policy = { ...RETRY_DEFAULTS, retries, ...retry };
+    const method = (opts.method || "GET").toUpperCase();
+    const deadlineAt = deadline ? Date.now() + deadline : null;
+
+    // Requests fetch refuses outright (bad URL, invalid method or header) fail here, so that a
+    // TypeError from fetch itself below always means a network failure (`err.network === true`)
+    try {
+        new Request(url, { method: opts.method, headers });
+    } catch (err) {
+        return [err, null, null];
+    }
+
     let attempts = 0;
-    while (attempts <= retries) {
+    let response = null;
+    while (true) {
+        const attempt = createAttemptSignal({ timeout, deadlineAt, signal });
         try {
-            const response = await fetch(url, opts);
-            clearTimeout(id);
+            response = await fetch(url, { ...opts, signal: attempt.signal }).catch(err => {
+                if (err instanceof TypeError) err.network = true;
+                throw err;
+            });
+            if (onDownloadProgress) response = trackDownloadProgress(response, onDownloadProgress);
 
-            const contentType = response.headers.get("content-type");
-            let data = contentType?.includes("application/json")
-                ? await response.json()
-                : await response.text();
+            const data = await readResponseData(response);
+            if (!response.ok) throw createHttpError(response, data);
 
-            if (!response.ok) {
-                const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
-                error.status = response.status;
-                error.data = data;
-                throw error;
+            return [null, data, response];
+        } catch (caught) {
+            // Prefer our own abort reason (timeout vs caller abort) over the generic one fetch rejects with
+            const err = attempt.signal.aborted ? attempt.signal.reason : caught;
+
+            if (attempts >= policy.retries || !isRetryableError(err, method, policy)) {
+                return [err, null, response];
             }
+            attempts++;
 
-            return [null, data];
-        } catch (err) {
-            if (attempts < retries) {
-                attempts++;
-                continue; // retry
+            const delay = getRetryDelay(attempts, err, policy);
+            if (deadlineAt && Date.now() + delay >= deadlineAt) {
+                return [createTimeoutError(`Request deadline of ${deadline}ms exceeded`, { deadline: true, cause: err }), null, response];
+            }
+            if (policy.onRetry?.({ attempt: attempts, delay, error: err, url, method }) === false) {
+                return [err, null, response];
+            }
+            try {
+                await abortableWait(delay, signal);
+            } catch (abortErr) {
+                return [abortErr, null, response];
             }
-            return [err, null];
+        } finally {
+            attempt.dispose();
         }
     }
 }
 
 
 /**
- * Parse a form element or plain object into a network-ready payload:
- * - Returns FormData if any file inputs exist.
- * - Returns JSON string otherwise (if autoJson = true).
- * - Returns plain object otherwise (if autoJson = false).
- * 
- * @example
- * const form = document.querySelector("#myForm");
- * const parsed = formParser(form);
- *
- * if (parsed instanceof FormData) {
- *   fetch("/api", { 
- *     method: "POST", 
- *     body: parsed 
- *   });
- * } else {
- *   fetch("/api", {
- *     method: "POST",
- *     headers: { "Content-Type": "application/json" },
- *     body: JSON.stringify(parsed)
- *   });
- * }
+ * Read a response body the way safeFetch reports it: JSON, multipart parts, or text.
  */
-function formParser(form, autoJson = true) {
-    let dataObj;
+async function readResponseData(response) {
+    const contentType = response.headers.get("content-type");
+    return contentType?.includes("application/json")
+        ? await response.json()
+        : getResponseType(response) === "multipart"
+            ? await readMultipart(response)
+            : await response.text();
+}
 
-    if (form instanceof HTMLFormElement) {
-        dataObj = new FormData(form);
-    } else if (typeof form === "object" && form !== null) {
-        dataObj = form;
-    } else {
-        throw new Error("formParser expects a form element or a plain object");
-    }
 
-    // If it's already FormData, just return it
-    if (dataObj instanceof FormData) {
-        return dataObj;
-    }
+function createHttpError(response, data) {
+    const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+    error.status = response.status;
+    error.data = data;
+    error.response = response;
+    return error;
+}
 
-    // If object contains any file/blob, convert to FormData
-    if (objectContainsFile(dataObj)) {
-        const fd = new FormData();
-        Object.entries(dataObj).forEach(([key, value]) => {
-            if (value instanceof FileList) {
-                Array.from(value).forEach(f => fd.append(key, f));
-            } else {
-                fd.append(key, value);
-            }
-        });
-        return fd;
+
+/**
+ * Build the AbortSignal for a single fetch attempt: a fresh per-attempt timeout, the overall
+ * deadline and the caller's own signal all abort it, each with a distinguishable reason.
+ * Call `dispose()` once the attempt settles to clear timers and listeners.
+ */
+function createAttemptSignal({ timeout = 0, deadlineAt = null, signal = null } = {}) {
+    const controller = new AbortController();
+    const timers = [];
+    const abort = (reason) => {
+        if (!controller.signal.aborted) controller.abort(reason);
+    };
+    const onCallerAbort = () => abort(createAbortError(signal.reason));
+
+    if (signal?.aborted) onCallerAbort();
+    else signal?.addEventListener("abort", onCallerAbort, { once: true });
+
+    if (timeout) {
+        timers.push(setTimeout(() => abort(createTimeoutError(`Request timed out after ${timeout}ms`)), timeout));
+    }
+    if (deadlineAt) {
+        timers.push(setTimeout(
+            () => abort(createTimeoutError("Request deadline exceeded", { deadline: true })),
+            Math.max(0, deadlineAt - Date.now())
+        ));
     }
 
-    // Text-only object → return JSON string (default) or raw object
-    return autoJson ? JSON.stringify(dataObj) : dataObj;
+    return {
+        signal: controller.signal,
+        dispose() {
+            timers.forEach(clearTimeout);
+            signal?.removeEventListener("abort", onCallerAbort);
+        },
+    };
+}
+
+
+function createTimeoutError(message, { deadline = false, cause } = {}) {
+    const error = new Error(message, { cause });
+    error.name = "TimeoutError";
+    error.deadline = deadline;
+    return error;
 }
 
+function createAbortError(reason) {
+    const error = new Error("Request aborted", { cause: reason });
+    error.name = "AbortError";
+    return error;
+}
 
 
 /**
- * Check if a value or object contains any File, Blob, or FileList.
- * 
- * This is useful when deciding whether to send data as JSON or
- * multipart/form-data in a fetch request.
- *
- * Usage:
- *   - Pass a JS object, FormData, or any value.
- *   - Returns `true` if any part of the object is a File/Blob/FileList.
- *   - Returns `false` for text-only data or empty objects.
- *
- * @param {*} obj - The value to inspect. Can be:
- *   - Plain JS object: { username: "alice", avatar: File }
- *   - FormData instance
- *   - File, Blob, FileList
- *   - Nested objects containing files
- * @returns {boolean} - `true` if the value contains any binary files, `false` otherwise.
- *
- * @example
- * objectContainsFile({ username: "alice" });               // false
- * objectContainsFile({ avatar: fileInput.files[0] });      // true
- * objectContainsFile(new FormData(form));                  // true if form has file inputs
- * objectContainsFile(fileInput.files);                     // true if non-empty FileList
- * objectContainsFile(null);                                // false
+ * Like wait(), but rejects with an AbortError as soon as `signal` aborts.
  */
-function objectContainsFile(obj) {
-    if (obj instanceof File || obj instanceof Blob) return true;
-    if (obj instanceof FileList && obj.length > 0) return true;
-    if (obj instanceof FormData) {
-        for (const value of obj.values()) {
-            if (containsFile(value)) return true;
-        }
-        return false;
-    }
-    if (typeof obj === "object" && obj !== null) {
-        return Object.values(obj).some(containsFile);
-    }
-    return false; // primitives, null, undefined, etc.
+function abortableWait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(createAbortError(signal.reason));
+
+        const onAbort = () => {
+            clearTimeout(id);
+            reject(createAbortError(signal.reason));
+        };
+        const id = setTimeout(() => {
+            signal?.removeEventListener("abort", onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener("abort", onAbort, { once: true });
+    });
 }
 
 
 /**
- * Infers the most appropriate response type from a Fetch API Response's Content-Type header.
- *
- * @function getResponseType
- * @param {Response} response - A Fetch API Response object.
- * @returns {"json"|"text"|"multipart"|"blob"|"unknown"} -
- *   A string describing the suggested response handler:
- *   - `"json"` → for `application/json`
- *   - `"text"` → for any `text/*` type
- *   - `"multipart"` → for `multipart/*` types (e.g., form-data, mixed)
- *   - `"blob"` → for binary types like `application/octet-stream`, `image/*`, `audio/*`, `video/*`, `application/pdf`
- *   - `"unknown"` → if the content type cannot be categorized
- *
- * @example
- * const response = await fetch("/api/data");
- * const type = getResponseType(response);
- *
- * switch (type) {
- *   case "json":
- *     const jsonData = await response.json();
- *     break;
- *   case "text":
- *     const textData = await response.text();
- *     break;
- *   case "blob":
- *     const blobData = await response.blob();
- *     break;
- *   case "multipart":
- *     // handle multipart parsing separately
- *     break;
- *   default:
- *     console.warn("Unknown response type");
- * }
+ * Decide whether a failed attempt is worth retrying under a retry policy.
+ * Network failures (TypeError from fetch), per-attempt timeouts and listed HTTP statuses qualify;
+ * caller aborts, an exhausted deadline and parse errors never do.
  */
-function getResponseType(response) {
-  const contentType = (response.headers.get("Content-Type") || "").toLowerCase();
+function isRetryableError(error, method, policy) {
+    if (!policy.methods.map(m => m.toUpperCase()).includes(method)) return false;
+    if (error?.name === "AbortError") return false;
+    if (error?.name === "TimeoutError") return !error.deadline;
+    if (typeof error?.status === "number") return policy.statusCodes.includes(error.status);
+    return error instanceof TypeError;
+}
 
-  if (contentType.includes("application/json")) return "json";
-  if (contentType.startsWith("text/")) return "text";
-  if (contentType.startsWith("multipart/")) return "multipart";
-  if (
-    contentType.includes("application/octet-stream") ||
-    contentType.startsWith("image/") ||
-    contentType.startsWith("audio/") ||
-    contentType.startsWith("video/") ||
-    contentType.includes("application/pdf")
-  ) {
-    return "blob";
-  }
 
-  return "unknown";
-}
+/**
+ * Compute the wait before retry number `attempt` (1-based): the server's `Retry-After`
+ * when it sent one on 429/503, exponential backoff with optional jitter otherwise.
+ */
+function getRetryDelay(attempt, error, policy) {
+    if (policy.respectRetryAfter && (error?.status === 429 || error?.status === 503)) {
+        const retryAfter = parseRetryAfter(error.response?.headers.get("Retry-After"));
+        if (retryAfter !== null) return Math.min(retryAfter, policy.maxRetryAfter);
+    }
 
+    const delay = Math.min(policy.maxDelay, policy.baseDelay * policy.factor ** (attempt - 1));
+    return policy.jitter ? Math.round(delay / 2 + Math.random() * delay / 2) : delay;
+}
 
 
 /**
- * Safely reads a Fetch API Response by inferring the appropriate method from its Content-Type.
- *
- * @async
- * @function safelyReadResponse
- * @param {Response} response - A Fetch API Response object.
- * @returns {Promise<any>} The parsed response body:
- *   - `Object` (parsed JSON) if Content-Type is `application/json`
- *   - `string` if Content-Type is `text/*`
- *   - `Blob` if Content-Type suggests binary (`image/*`, `video/*`, `application/pdf`, etc.)
- *   - `string` (raw) if Content-Type is `multipart/*`
- *   - `ArrayBuffer` as a fallback for unknown types
- *
- * @description
- * Uses {@link getResponseType} to choose the correct method (`json`, `text`, `blob`, or `arrayBuffer`)
- * for reading a Fetch API response. Clones the response internally so the original
- * Response object remains usable if needed elsewhere.
- *
- * @example
- * const response = await fetch("/api/data");
- * const data = await safelyReadResponse(response);
- *
- * if (data instanceof Blob) {
- *   // Handle binary (e.g. download, preview, upload)
- * } else if (typeof data === "string") {
- *   // Handle text/multipart
- * } else if (typeof data === "object") {
- *   // Likely JSON
- * }
+ * Parse a `Retry-After` header (delta-seconds or HTTP-date) into milliseconds.
+ * Returns null when the header is missing or unreadable.
  */
-async function safelyReadResponse(response) {
-  const type = getResponseType(response);
-  const clone = response.clone();
+function parseRetryAfter(value) {
+    if (!value) return null;
+    if (/^\s*\d+\s*$/.test(value)) return parseInt(value, 10) * 1000;
 
-  switch (type) {
-    case "json":
-      return await clone.json();
-    case "text":
-      return await clone.text();
-    case "blob":
-      return await clone.blob();
-    case "multipart":
-      // return raw text for further parsing
-      return await clone.text();
-    default:
-      // last-resort fallback
-      return await clone.arrayBuffer();
-  }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
 }
 
 
 /**
- * Normalizes different error types (HTTP Response or standard JS Error) 
- * into a consistent object shape.
+ * Create a configurable HTTP client with request, response and error interceptors.
+ * safeFetch and fetchWithCSRF are thin wrappers around the default client.
  *
- * @async
- * @function normalizeError
- * @param {any} error - The error to normalize. Can be a `Response`, `Error`, or unknown value.
- * @returns {Promise<Object>} A normalized error object:
- *   - For HTTP Response errors:
- *     { type: "http", status: number, statusText: string, url: string, body?: any }
- *   - For JS Errors:
- *     { type: "js", message: string, stack?: string }
- *   - For unknown values:
- *     { type: "unknown", value: any }
+ * @function createClient
+ * @param {Object} [options={}]
+ * @param {string} [options.baseURL=""] - Prefix for relative URLs (absolute URLs are left untouched).
+ * @param {HeadersInit} [options.headers={}] - Headers sent with every request (per-request headers win).
+ * @param {string|null} [options.token=null] - Bearer token for the `Authorization` header.
+ * @param {Object} [options.config={}] - Default safeFetch config (`retries`, `timeout`, `retry`, `autoJSON`, ...).
+ * @param {Object} [options.interceptors={}] - Initial `{ request, response, error }` interceptors (function or array).
+ * @param {Object} [options.cache={}] - Response cache settings:
+ * @param {number} [options.cache.ttl=0] - Default freshness window in ms for cached GETs.
+ * @param {number} [options.cache.staleWhileRevalidate=0] - Extra window in ms where stale data is returned
+ *   immediately while a background request refreshes it.
+ * @param {boolean} [options.cache.persist=false] - Also keep entries in localStorage through StorageHelpers.
+ * @param {string} [options.cache.storagePrefix="ajax-cache:"] - Storage key prefix for persisted entries.
+ * @param {number} [options.cache.maxEntries=100] - In-memory entries kept before the oldest are dropped.
+ * @returns {Object} Client with `request`, `get`, `head`, `delete`, `post`, `put`, `patch`, `use`, `interceptors` and `cache`.
+ *
+ * Interceptors run in registration order and may be async:
+ * - request:  `(ctx) => ctx` where `ctx = { url, options, config }` and `ctx.options.headers` is a `Headers` instance
+ * - response: `(data, { url, options, config, response }) => data`
+ * - error:    `(error, { url, options, config, response }) => error | data`
+ *   Returning an Error replaces the error, returning any other value recovers with it as data.
+ * In every case returning `undefined` keeps the current value, and throwing turns into the request's error.
+ *
+ * Identical GET/HEAD requests that are in flight at the same time share one network call: same URL,
+ * same request headers (`Accept`, `Authorization`...) and same config, callbacks included
+ * (opt out per request with `config.dedupe = false`; requests carrying their own `signal` are never shared).
+ * GETs are cached only when the request config has `cache: true` or `cache: { ttl, staleWhileRevalidate }`.
+ * Cached entries remember the response `ETag` and revalidate with `If-None-Match` once stale;
+ * a 304 answer keeps the cached data. Entries are keyed by the resolved URL plus a fingerprint of the
+ * request headers, and dropped with `client.cache.invalidate(url)` (every header variant of that URL)
+ * or `client.cache.invalidate(urlPrefix, { prefix: true })`. Every hit returns its own copy of the data.
+ *
+ * Every request resolves to `[err, data]`, exactly like safeFetch.
  *
  * @example
- * try {
- *   const res = await fetch("/api/fail");
- *   if (!res.ok) throw res;
- * } catch (err) {
- *   const normalized = await normalizeError(err);
- *   console.error(normalized);
- * }
+ * const api = createClient({
+ *   baseURL: "/api/v1",
+ *   config: { timeout: 5000, retries: 2 },
+ *   interceptors: {
+ *     request: (ctx) => { ctx.options.headers.set("Authorization", `Bearer ${getToken()}`); },
+ *     response: (body) => body?.data,
+ *     error: (err) => { if (err.status === 401) window.location.assign("/login/"); },
+ *   },
+ * });
+ *
+ * const [err, items] = await api.get("/items/");
+ * const [err2, created] = await api.post("/items/", { name: "Test" }, { csrf: true });
+ *
+ * @example
+ * // Cache for a minute, serve stale data for five more while refreshing in the background
+ * const [err, categories] = await api.get("/categories/", { cache: { ttl: 60000, staleWhileRevalidate: 300000 } });
+ * // after creating a category
+ * api.cache.invalidate("/categories/", { prefix: true });
  */
-async function normalizeError(error) {
-  if (error instanceof Response) {
-    let body;
-    try {
-      // Try to parse JSON body if available
-      const clone = error.clone();
-      body = await clone.json().catch(() => clone.text());
-    } catch {
-      body = null;
+function createClient({ baseURL = "", headers = {}, token = null, config = {}, interceptors = {}, cache = {} } = {}) {
+    const chain = {
+        request: [].concat(interceptors.request || []),
+        response: [].concat(interceptors.response || []),
+        error: [].concat(interceptors.error || []),
+    };
+    const defaultHeaders = createHeaders({ isJson: false, token, extra: headers });
+    const { ttl = 0, staleWhileRevalidate = 0, ...storeOptions } = cache;
+    const store = createResponseCache(storeOptions);
+    const inFlight = new Map();
+
+    // Headers are part of the key; the config must match too, or the second caller's
+    // timeout, retry policy and progress callbacks would silently be ignored
+    function dedupe(key, ctx, run) {
+        if (ctx.config.dedupe === false || ctx.options.signal) return run();
+
+        const shared = inFlight.get(key);
+        if (shared && isSameConfig(shared.config, ctx.config)) return shared.promise;
+        if (shared) return run();
+
+        const promise = run().finally(() => inFlight.delete(key));
+        inFlight.set(key, { promise, config: ctx.config });
+        return promise;
+    }
+
+    const cacheKey = (ctx) => `${ctx.url}\n${headersFingerprint(ctx.options.headers)}`;
+    // Cached data goes in and out as copies, so callers and response interceptors can't mutate later hits
+    // (values structuredClone can't copy, e.g. multipart parts with Headers, are shared as is)
+    const copy = (data) => {
+        try {
+            return deepClone(data);
+        } catch {
+            return data;
+        }
+    };
+
+    const buildHeaders = (options = {}, requestConfig = {}) => {
+        const headers = createHeaders({ isJson: false, csrf: !!requestConfig.csrf, extra: defaultHeaders });
+        new Headers(options.headers).forEach((value, key) => headers.set(key, value));
+        return headers;
+    };
+
+    async function revalidate(ctx, entry) {
+        let options = ctx.options;
+        if (entry?.etag) {
+            options = { ...options, headers: new Headers(options.headers) };
+            options.headers.set("If-None-Match", entry.etag);
+        }
+
+        const key = cacheKey(ctx);
+        const result = await dedupe(`revalidate ${key}`, ctx, () => executeFetch(ctx.url, options, ctx.config));
+        const [err, data, response] = result;
+
+        if (err?.status === 304 && entry) {
+            store.set(key, { ...entry, storedAt: Date.now() });
+            return [null, copy(entry.data), response];
+        }
+        if (!err) {
+            store.set(key, { data: copy(data), etag: response?.headers.get("ETag") || null, storedAt: Date.now() });
+        }
+        return result;
+    }
+
+    async function send(ctx) {
+        const method = (ctx.options.method || "GET").toUpperCase();
+        if (method !== "GET" && method !== "HEAD") {
+            return executeFetch(ctx.url, ctx.options, ctx.config);
+        }
+
+        const cacheConfig = ctx.config.cache;
+        if (method === "GET" && cacheConfig) {
+            const { ttl: fresh = ttl, staleWhileRevalidate: stale = staleWhileRevalidate } =
+                cacheConfig === true ? {} : cacheConfig;
+            const entry = store.get(cacheKey(ctx));
+            const age = entry ? Date.now() - entry.storedAt : Infinity;
+
+            if (age < fresh) return [null, copy(entry.data), null];
+            if (age < fresh + stale) {
+                revalidate(ctx, entry);
+                return [null, copy(entry.data), null];
+            }
+            return revalidate(ctx, entry);
+        }
+
+        return dedupe(`${method} ${cacheKey(ctx)}`, ctx, () => executeFetch(ctx.url, ctx.options, ctx.config));
+    }
+
+    async function runErrorChain(error, ctx) {
+        for (const interceptor of chain.error) {
+            let result;
+            try {
+                result = await interceptor(error, ctx);
+            } catch (thrown) {
+                result = thrown;
+            }
+
+            if (result === undefined) continue;
+            if (result instanceof Error) {
+                error = result;
+                continue;
+            }
+            return [null, result];
+        }
+        return [error, null];
+    }
+
+    async function request(url, options = {}, requestConfig = {}) {
+        const mergedConfig = { ...config, ...requestConfig };
+        let headers;
+        try {
+            headers = buildHeaders(options, mergedConfig);
+        } catch (err) {
+            // e.g. an invalid header name: report it like any other request error
+            return runErrorChain(err, { url: resolveClientURL(baseURL, url), options, config: mergedConfig });
+        }
+
+        let ctx = {
+            url: resolveClientURL(baseURL, url),
+            options: { ...options, headers },
+            config: mergedConfig,
+        };
+
+        try {
+            for (const interceptor of chain.request) {
+                ctx = (await interceptor(ctx)) ?? ctx;
+            }
+        } catch (err) {
+            return runErrorChain(err, ctx);
+        }
+
+        const [err, data, response] = await send(ctx);
+        const responseCtx = { ...ctx, response };
+        if (err) return runErrorChain(err, responseCtx);
+
+        let result = data;
+        try {
+            for (const interceptor of chain.response) {
+                const next = await interceptor(result, responseCtx);
+                if (next !== undefined) result = next;
+            }
+        } catch (err) {
+            return runErrorChain(err, responseCtx);
+        }
+        return [null, result];
     }
+
+    const withoutBody = (method) => (url, config = {}, options = {}) =>
+        request(url, { ...options, method }, config);
+    const withBody = (method) => (url, body, config = {}, options = {}) =>
+        request(url, { ...options, method, body }, config);
+
     return {
-      type: "http",
-      status: error.status,
-      statusText: error.statusText || "",
-      url: error.url,
-      body,
+        request,
+        get: withoutBody("GET"),
+        head: withoutBody("HEAD"),
+        delete: withoutBody("DELETE"),
+        post: withBody("POST"),
+        put: withBody("PUT"),
+        patch: withBody("PATCH"),
+        interceptors: chain,
+
+        cache: {
+            /**
+             * Cached data for a GET of `url` sent with `options.headers` (plus the client's default headers).
+             */
+            get: (url, options = {}) => store.get(cacheKey({
+                url: resolveClientURL(baseURL, url),
+                options: { headers: buildHeaders(options, config) },
+            }))?.data ?? null,
+            invalidate: (url, options) => store.invalidate(resolveClientURL(baseURL, url), options),
+            clear: () => store.clear(),
+        },
+
+        /**
+         * Register interceptors; returns a function that removes them again.
+         */
+        use({ request: onRequest, response: onResponse, error: onError } = {}) {
+            const added = [["request", onRequest], ["response", onResponse], ["error", onError]]
+                .filter(([, fn]) => typeof fn === "function");
+            added.forEach(([type, fn]) => chain[type].push(fn));
+
+            return () => added.forEach(([type, fn]) => {
+                const index = chain[type].indexOf(fn);
+                if (index !== -1) chain[type].splice(index, 1);
+            });
+        },
+    };
+}
+
+
+/**
+ * Short hash of the request headers (minus `If-None-Match`), so requests for the same URL that may get
+ * different answers (`Accept`, `Accept-Language`, `Authorization`...) don't share a dedupe or cache entry.
+ * Hashed so that tokens never end up in persisted cache keys.
+ */
+function headersFingerprint(headers) {
+    const text = [...new Headers(headers)]
+        .filter(([key]) => key !== "if-none-match")
+        .map(([key, value]) => `${key}:${value}`)
+        .join("\n");
+
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    return (hash >>> 0).toString(36);
+}
+
+
+/**
+ * Deep equality for request configs: plain objects and arrays by content, anything else
+ * (functions, signals) by identity.
+ */
+function isSameConfig(a, b) {
+    if (a === b) return true;
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((item, index) => isSameConfig(item, b[index]));
+    }
+    if (isPlainObject(a) && isPlainObject(b)) {
+        const keys = Object.keys(a).filter(key => a[key] !== undefined);
+        return keys.length === Object.keys(b).filter(key => b[key] !== undefined).length
+            && keys.every(key => isSameConfig(a[key], b[key]));
+    }
+    return false;
+}
+
+
+let defaultClient = null;
+
+/**
+ * The shared client used by safeFetch and fetchWithCSRF.
+ * Register app-wide interceptors here (auth headers, logging, envelope unwrapping).
+ *
+ * @example
+ * AJAX.getDefaultClient().use({
+ *   request: (ctx) => console.debug("→", ctx.options.method || "GET", ctx.url),
+ * });
+ */
+function getDefaultClient() {
+    return defaultClient ??= createClient();
+}
+
+
+/**
+ * Drop cached GET responses of the default client, by exact URL or URL prefix.
+ *
+ * @example
+ * await fetchWithCSRF("/api/items/", { body: item });
+ * invalidateCache("/api/items", { prefix: true });
+ */
+function invalidateCache(url, { prefix = false } = {}) {
+    getDefaultClient().cache.invalidate(url, { prefix });
+}
+
+
+/**
+ * In-memory store for cached responses (`{ data, etag, storedAt }` keyed by `<url>\n<headers fingerprint>`),
+ * optionally mirrored to localStorage through StorageHelpers.
+ */
+function createResponseCache({ persist = false, storagePrefix = "ajax-cache:", maxEntries = 100 } = {}) {
+    const entries = new Map();
+
+    const persistedKeys = () => StorageHelpers.keys()
+        .filter(key => key.startsWith(storagePrefix))
+        .map(key => key.slice(storagePrefix.length));
+
+    const cacheStore = {
+        get(key) {
+            if (entries.has(key)) return entries.get(key);
+            if (!persist) return null;
+
+            const stored = StorageHelpers.get(storagePrefix + key);
+            if (stored) entries.set(key, stored);
+            return stored;
+        },
+
+        set(key, entry) {
+            entries.delete(key);
+            entries.set(key, entry);
+            if (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+            if (persist) StorageHelpers.set(storagePrefix + key, entry);
+        },
+
+        invalidate(keyOrPrefix, { prefix = false } = {}) {
+            // A bare URL matches every header variant cached for it
+            const matches = (key) => prefix
+                ? key.startsWith(keyOrPrefix)
+                : key === keyOrPrefix || key.startsWith(`${keyOrPrefix}\n`);
+
+            [...entries.keys()].filter(matches).forEach(key => entries.delete(key));
+            if (persist) {
+                persistedKeys().filter(matches).forEach(key => StorageHelpers.remove(storagePrefix + key));
+            }
+        },
+
+        clear() {
+            cacheStore.invalidate("", { prefix: true });
+        },
+    };
+
+    return cacheStore;
+}
+
+
+/**
+ * Uploads a body with XMLHttpRequest so upload progress can be reported (fetch cannot).
+ *
+ * @async
+ * @function upload
+ * @param {string} url - Target URL.
+ * @param {FormData|HTMLFormElement|Object|Blob|string} body - Payload; forms and plain objects
+ *   go through {@link formParser} (FormData when they hold files, JSON otherwise).
+ * @param {Object} [options={}]
+ * @param {string} [options.method="POST"] - HTTP method.
+ * @param {HeadersInit} [options.headers={}] - Extra request headers.
+ * @param {boolean} [options.csrf=true] - Add the Django `X-CSRFToken` header.
+ * @param {boolean} [options.withCredentials=false] - Send cookies on cross-origin requests.
+ * @param {AbortSignal} [options.signal] - Cancels the upload; resolves with an `AbortError`.
+ * @param {number} [options.timeout=0] - Timeout in ms; resolves with a `TimeoutError`.
+ * @param {Function} [options.onUploadProgress] - Called with `{ loaded, total, percent, rate, eta }` while sending.
+ * @param {Function} [options.onDownloadProgress] - Same shape, while the response arrives.
+ * @returns {Promise<[Error|null, any]>} Tuple of error and data, parsed like safeFetch.
+ *
+ * Progress objects report bytes (`loaded`, `total`), `percent` (0-100, null when the size is unknown),
+ * `rate` in bytes per second and `eta` in seconds (null when unknown).
+ *
+ * @example
+ * const controller = new AbortController();
+ * cancelBtn.onclick = () => controller.abort();
+ *
+ * const [err, saved] = await upload("/api/attachments/", form, {
+ *   signal: controller.signal,
+ *   onUploadProgress: ({ percent, eta }) => {
+ *     bar.value = percent ?? 0;
+ *     label.textContent = eta === null ? "" : `${Math.ceil(eta)}s left`;
+ *   },
+ * });
+ */
+function upload(url, body, {
+    method = "POST",
+    headers = {},
+    csrf = true,
+    withCredentials = false,
+    signal = null,
+    timeout = 0,
+    onUploadProgress = null,
+    onDownloadProgress = null,
+} = {}) {
+    return new Promise((resolve) => {
+        if (signal?.aborted) return resolve([createAbortError(signal.reason), null]);
+
+        const payload = body instanceof HTMLFormElement || isPlainObject(body)
+            ? formParser(body)
+            : body;
+
+        const xhr = new XMLHttpRequest();
+        xhr.open(method, url);
+        xhr.responseType = "blob";
+        xhr.withCredentials = withCredentials;
+        xhr.timeout = timeout;
+
+        const requestHeaders = createHeaders({ isJson: typeof payload === "string" && payload !== body, csrf, extra: headers });
+        if (!requestHeaders.has("Accept")) requestHeaders.set("Accept", "application/json");
+        requestHeaders.forEach((value, key) => xhr.setRequestHeader(key, value));
+
+        const onAbort = () => xhr.abort();
+        signal?.addEventListener("abort", onAbort, { once: true });
+        const finish = (result) => {
+            signal?.removeEventListener("abort", onAbort);
+            resolve(result);
+        };
+
+        if (onUploadProgress) {
+            const report = createProgressReporter(onUploadProgress);
+            xhr.upload.addEventListener("progress", (e) => report(e.loaded, e.lengthComputable ? e.total : null));
+        }
+        if (onDownloadProgress) {
+            const report = createProgressReporter(onDownloadProgress);
+            xhr.addEventListener("progress", (e) => report(e.loaded, e.lengthComputable ? e.total : null));
+        }
+
+        xhr.addEventListener("load", async () => {
+            try {
+                const nullBody = [101, 204, 205, 304].includes(xhr.status);
+                const response = new Response(nullBody ? null : xhr.response, {
+                    status: xhr.status,
+                    statusText: xhr.statusText,
+                    headers: parseRawHeaders(xhr.getAllResponseHeaders()),
+                });
+                const data = await readResponseData(response);
+                finish(response.ok ? [null, data] : [createHttpError(response, data), null]);
+            } catch (err) {
+                finish([err, null]);
+            }
+        });
+        xhr.addEventListener("error", () => finish([Object.assign(new TypeError("Network request failed"), { network: true }), null]));
+        xhr.addEventListener("timeout", () => finish([createTimeoutError(`Request timed out after ${timeout}ms`), null]));
+        xhr.addEventListener("abort", () => finish([createAbortError(signal?.reason), null]));
+
+        xhr.send(payload ?? null);
+    });
+}
+
+
+/**
+ * Wraps a fetch Response so its body reports download progress while it is read.
+ * The total comes from `Content-Length` (null when the server does not send it).
+ *
+ * @function trackDownloadProgress
+ * @param {Response} response - A Fetch API Response whose body has not been read yet.
+ * @param {Function} onProgress - Called with `{ loaded, total, percent, rate, eta }` for every chunk.
+ * @returns {Response} A new Response streaming the same bytes (or the original one if it has no body).
+ *
+ * @example
+ * const response = trackDownloadProgress(await fetch("/exports/report.pdf"), ({ percent }) => {
+ *   bar.value = percent ?? 0;
+ * });
+ * const blob = await response.blob();
+ */
+function trackDownloadProgress(response, onProgress) {
+    if (!response.body || typeof onProgress !== "function") return response;
+
+    const total = parseInt(response.headers.get("Content-Length"), 10) || null;
+    const report = createProgressReporter(onProgress);
+    const reader = response.body.getReader();
+    let loaded = 0;
+
+    const body = new ReadableStream({
+        async pull(controller) {
+            const { done, value } = await reader.read();
+            if (done) {
+                controller.close();
+                return;
+            }
+            loaded += value.byteLength;
+            report(loaded, total);
+            controller.enqueue(value);
+        },
+        cancel(reason) {
+            return reader.cancel(reason);
+        },
+    });
+
+    return new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+    });
+}
+
+
+/**
+ * Uploads a large File/Blob in chunks that survive network failures, pauses and page reloads.
+ *
+ * @function createResumableUpload
+ * @param {File|Blob} file - The file to upload.
+ * @param {Object} options
+ * @param {string} [options.endpoint] - Base URL of the default upload protocol (see {@link createUploadAdapter}).
+ * @param {Object} [options.adapter] - Custom transport implementing the same protocol; replaces `endpoint`.
+ * @param {number} [options.chunkSize=5242880] - Chunk size in bytes (5 MB).
+ * @param {Object} [options.retry={ retries: 3 }] - safeFetch retry policy applied to every chunk.
+ * @param {Object} [options.metadata={}] - Extra data sent with the init call.
+ * @param {boolean} [options.persist=true] - Remember progress in StorageHelpers so a reload can resume.
+ * @param {string} [options.storageKey] - Storage key override (defaults to a fingerprint of endpoint, name, size and mtime).
+ * @param {Function} [options.onProgress] - Called with `{ loaded, total, percent, rate, eta }` after every chunk.
+ * @returns {Object} Controller with `start()`, `pause()`, `resume()`, `abort()` and a read-only `state`.
+ *
+ * `start()` and `resume()` resolve to `[err, result]` once the upload completes, fails or is paused;
+ * a pause resolves with an `AbortError` and leaves `state.status === "paused"`.
+ * After a reload, selecting the same file again picks up from the last confirmed chunk.
+ *
+ * @example
+ * const uploader = createResumableUpload(input.files[0], {
+ *   endpoint: "/api/uploads/",
+ *   onProgress: ({ percent }) => bar.value = percent,
+ * });
+ * pauseBtn.onclick = () => uploader.pause();
+ * resumeBtn.onclick = () => uploader.resume();
+ *
+ * const [err, result] = await uploader.start();
+ * if (!err) console.log("Stored as", result.url);
+ */
+function createResumableUpload(file, {
+    endpoint = null,
+    adapter = null,
+    chunkSize = 5 * 1024 * 1024,
+    retry = { retries: 3 },
+    metadata = {},
+    persist = true,
+    storageKey = null,
+    onProgress = null,
+} = {}) {
+    if (!(file instanceof Blob)) {
+        throw new Error("createResumableUpload expects a File or Blob");
+    }
+    if (!adapter && !endpoint) {
+        throw new Error("createResumableUpload needs an endpoint or an adapter");
+    }
+
+    const transport = adapter || createUploadAdapter(endpoint, { retry });
+    const totalChunks = Math.max(1, Math.ceil(file.size / chunkSize));
+    const key = storageKey || `resumable-upload:${[endpoint, file.name, file.size, file.lastModified].join("|")}`;
+
+    const state = { status: "idle", id: null, received: new Set(), error: null, result: null };
+    let controller = null;
+    let running = null;
+
+    const chunkRange = (index) => [index * chunkSize, Math.min(file.size, (index + 1) * chunkSize)];
+    const uploadedBytes = () => [...state.received].reduce((sum, index) => {
+        const [start, end] = chunkRange(index);
+        return sum + (end - start);
+    }, 0);
+    const save = () => {
+        if (persist) StorageHelpers.set(key, { id: state.id, chunkSize, received: [...state.received] });
+    };
+
+    async function prepare(signal) {
+        const saved = persist ? StorageHelpers.get(key) : null;
+        if (!state.id && saved?.id && saved.chunkSize === chunkSize) {
+            state.id = saved.id;
+            state.received = new Set(saved.received);
+        }
+
+        if (state.id && transport.status) {
+            const [err, status] = await transport.status({ id: state.id, signal });
+            if (err?.status === 404) {
+                // The server forgot this upload; start a new one
+                state.id = null;
+                state.received.clear();
+            } else if (err) {
+                return err;
+            } else if (Array.isArray(status?.received)) {
+                state.received = new Set(status.received);
+            }
+        }
+
+        if (!state.id) {
+            const [err, init] = await transport.init({ file, chunkSize, totalChunks, metadata, signal });
+            if (err) return err;
+            state.id = init.id;
+            state.received = new Set(init.received || []);
+        }
+
+        save();
+        return null;
+    }
+
+    function fail(err) {
+        if (state.status === "uploading") {
+            state.status = "error";
+            state.error = err;
+        }
+        return [err, null];
+    }
+
+    async function run() {
+        controller = new AbortController();
+        const { signal } = controller;
+        state.status = "uploading";
+        state.error = null;
+
+        const prepareErr = await prepare(signal);
+        if (prepareErr) return fail(prepareErr);
+
+        const report = onProgress ? createProgressReporter(onProgress, { offset: uploadedBytes() }) : null;
+        report?.(uploadedBytes(), file.size);
+
+        for (let index = 0; index < totalChunks; index++) {
+            if (state.received.has(index)) continue;
+
+            const [start, end] = chunkRange(index);
+            const [err] = await transport.uploadChunk({
+                id: state.id,
+                index,
+                start,
+                end,
+                total: file.size,
+                blob: file.slice(start, end),
+                signal,
+            });
+            if (err) return fail(err);
+
+            state.received.add(index);
+            save();
+            report?.(uploadedBytes(), file.size);
+        }
+
+        const [err, result] = await transport.complete({ id: state.id, file, totalChunks, signal });
+        if (err) return fail(err);
+
+        if (persist) StorageHelpers.remove(key);
+        state.status = "complete";
+        state.result = result;
+        return [null, result];
+    }
+
+    const start = () => {
+        if (state.status === "complete") return Promise.resolve([null, state.result]);
+        if (!running) running = run().finally(() => { running = null; });
+        return running;
     };
-  }
 
-  if (error instanceof Error) {
     return {
-      type: "js",
-      message: error.message || "Unknown error",
-      stack: error.stack,
+        start,
+        resume: start,
+
+        pause() {
+            if (state.status !== "uploading") return;
+            state.status = "paused";
+            controller?.abort();
+        },
+
+        async abort() {
+            state.status = "aborted";
+            controller?.abort();
+            if (persist) StorageHelpers.remove(key);
+            if (state.id && transport.abort) await transport.abort({ id: state.id });
+        },
+
+        get state() {
+            return {
+                status: state.status,
+                id: state.id,
+                uploadedChunks: state.received.size,
+                totalChunks,
+                loaded: uploadedBytes(),
+                total: file.size,
+                error: state.error,
+                result: state.result,
+            };
+        },
     };
-  }
+}
 
-  return {
-    type: "unknown",
-    value: error,
-  };
+
+/**
+ * The default transport for {@link createResumableUpload}, talking to this protocol:
+ *
+ * - init:     `POST   {endpoint}/` with JSON `{ filename, size, content_type, chunk_size, total_chunks, metadata }`
+ *             → `{ id, received?: number[] }`
+ * - status:   `GET    {endpoint}/{id}/` → `{ received: number[] }` (indexes of stored chunks; 404 if unknown)
+ * - chunk:    `PUT    {endpoint}/{id}/chunks/{index}/` with the raw bytes and `Content-Range: bytes start-end/total`
+ * - complete: `POST   {endpoint}/{id}/complete/` with JSON `{ total_chunks }` → whatever the server returns
+ * - abort:    `DELETE {endpoint}/{id}/`
+ *
+ * Mutations carry the CSRF header. Every method resolves to `[err, data]`, which is all a custom
+ * adapter has to implement (`status` and `abort` are optional).
+ *
+ * @function createUploadAdapter
+ * @param {string} endpoint - Base URL of the upload API.
+ * @param {Object} [options={}]
+ * @param {Object} [options.retry={ retries: 3 }] - safeFetch retry policy for chunk requests.
+ * @returns {{ init: Function, status: Function, uploadChunk: Function, complete: Function, abort: Function }}
+ *
+ * @example
+ * // Add an auth header to the default protocol
+ * const base = createUploadAdapter("/api/uploads/");
+ * const adapter = { ...base, uploadChunk: (chunk) => base.uploadChunk({ ...chunk, headers: { "X-Upload-Token": token } }) };
+ */
+function createUploadAdapter(endpoint, { retry = { retries: 3 } } = {}) {
+    const base = endpoint.replace(/\/+$/, "");
+
+    return {
+        init: ({ file, chunkSize, totalChunks, metadata, signal }) => fetchWithCSRF(`${base}/`, {
+            body: {
+                filename: file.name || "blob",
+                size: file.size,
+                content_type: file.type || "application/octet-stream",
+                chunk_size: chunkSize,
+                total_chunks: totalChunks,
+                metadata,
+            },
+            signal,
+        }),
+
+        status: ({ id, signal }) => safeFetch(`${base}/${id}/`, { signal }),
+
+        uploadChunk: ({ id, index, start, end, total, blob, signal, headers = {} }) => fetchWithCSRF(
+            `${base}/${id}/chunks/${index}/`,
+            {
+                method: "PUT",
+                body: blob,
+                headers: {
+                    "Content-Type": "application/octet-stream",
+                    "Content-Range": `bytes ${start}-${end - 1}/${total}`,
+                    ...headers,
+                },
+                signal,
+            },
+            { retry }
+        ),
+
+        complete: ({ id, totalChunks, signal }) => fetchWithCSRF(`${base}/${id}/complete/`, {
+            body: { total_chunks: totalChunks },
+            signal,
+        }),
+
+        abort: ({ id }) => fetchWithCSRF(`${base}/${id}/`, { method: "DELETE" }),
+    };
 }
 
 
 /**
- * Creates a Headers object with sensible defaults for JSON APIs and optional auth.
+ * Creates a persistent queue for mutations made while offline.
  *
- * @function createHeaders
- * @param {Object} [options={}] - Configuration options.
- * @param {boolean} [options.isJson=true] - Whether to set `Content-Type: application/json`.
- * @param {string|null} [options.token=null] - Bearer token for `Authorization` header.
- * @param {Record<string,string>} [options.extra={}] - Additional headers to include or override.
- * @returns {Headers} A Fetch API Headers object.
+ * Requests sent through `queue.send()` go out through fetchWithCSRF. When the browser is offline
+ * or the request fails at the network level, the mutation (method, URL, headers and body, files included)
+ * is stored in IndexedDB instead and replayed in order once connectivity returns, with a freshly
+ * read CSRF token. When IndexedDB is unavailable (private mode, blocked storage) the queue is kept
+ * in memory for the page's lifetime.
+ *
+ * @function createOfflineQueue
+ * @param {Object} [options={}]
+ * @param {string} [options.dbName="utils-offline-queue"] - IndexedDB database name.
+ * @param {boolean} [options.autoReplay=true] - Replay automatically on the `online` event (and once on creation).
+ * @param {number} [options.maxAttempts=5] - Failed replays (server errors, 408/425/429, network failures
+ *   while online, unreadable responses) before an entry is given up as failed.
+ * @param {Function} [options.refreshCSRF] - Async hook run before a replay, e.g. to hit an endpoint that
+ *   sets a fresh `csrftoken` cookie after the session changed.
+ * @param {Function} [options.onReplay] - `(entry, data)` after an entry was replayed successfully.
+ * @param {Function} [options.onConflict] - `(entry, err)` on 409/412 answers; return `"retry"` to keep the
+ *   entry queued (replay stops there), anything else drops it.
+ * @param {Function} [options.onFailure] - `(entry, err)` when an entry is dropped for good
+ *   (other 4xx answers or too many failed replays).
+ * @returns {Object} Queue with `send`, `enqueue`, `replay`, `list`, `remove`, `clear` and `destroy`.
+ *
+ * `send()` resolves like fetchWithCSRF and never rejects; a queued request resolves to `[err, null]` where
+ * `err.name === "OfflineError"`, `err.queued === true` and `err.id` is the queue entry id.
  *
  * @example
- * // JSON + Authorization
- * const headers = createHeaders({ token: "abc123" });
- * 
- * // Custom headers
- * const headers = createHeaders({ 
- *   isJson: false, 
- *   extra: { "X-Client": "my-app" } 
+ * const queue = createOfflineQueue({
+ *   onReplay: (entry) => toast(`Synced ${entry.method} ${entry.url}`),
+ *   onFailure: (entry, err) => toast(`Could not sync: ${err.message}`),
  * });
  *
- * fetch("/api/data", { headers });
+ * const [err, saved] = await queue.send("/api/visits/", { body: visitForm });
+ * if (err?.queued) toast("Saved offline, will sync when back online");
  */
-function createHeaders({ isJson = true, token = null, extra = {} } = {}) {
-  const headers = new Headers();
+function createOfflineQueue({
+    dbName = "utils-offline-queue",
+    autoReplay = true,
+    maxAttempts = 5,
+    refreshCSRF = null,
+    onReplay = null,
+    onConflict = null,
+    onFailure = null,
+} = {}) {
+    const storeName = "requests";
+    let dbPromise = null;
+    let memoryStore = null;
+    let replaying = null;
+
+    const withStore = async (mode, fn) => {
+        dbPromise ??= openIndexedDB(dbName, { stores: [{ name: storeName, keyPath: "id", autoIncrement: true }] })
+            .catch(err => {
+                console.warn("[createOfflineQueue] IndexedDB is unavailable, queued requests are kept in memory", err);
+                return null;
+            });
+        const db = await dbPromise;
+        if (!db) return fn(memoryStore ??= createMemoryQueueStore());
+        return idbTransaction(db, storeName, mode, fn);
+    };
 
-  if (isJson && !extra["Content-Type"]) {
-    headers.set("Content-Type", "application/json");
-  }
+    const isOffline = () => typeof navigator !== "undefined" && navigator.onLine === false;
+    const list = () => withStore("readonly", store => store.getAll());
+    const remove = (id) => withStore("readwrite", store => store.delete(id));
+    const clear = () => withStore("readwrite", store => store.clear());
 
-  if (token) {
-    headers.set("Authorization", `Bearer ${token}`);
-  }
+    async function enqueue(url, options = {}) {
+        const headers = [...new Headers(options.headers)].filter(([key]) => key !== "x-csrftoken");
+        const entry = {
+            url,
+            method: (options.method || "POST").toUpperCase(),
+            headers,
+            body: serializeRequestBody(options.body),
+            createdAt: Date.now(),
+            attempts: 0,
+        };
+        entry.id = await withStore("readwrite", store => store.add(entry));
+        return entry;
+    }
+
+    async function send(url, options = {}, config = {}) {
+        const queueIt = async (cause) => {
+            let entry;
+            try {
+                entry = await enqueue(url, options);
+            } catch (err) {
+                console.error("[createOfflineQueue] Could not queue the request", err);
+                return [cause || err, null];
+            }
+            const error = new Error("Request queued until the connection is back", { cause });
+            error.name = "OfflineError";
+            error.queued = true;
+            error.id = entry.id;
+            return [error, null];
+        };
+
+        if (isOffline()) return queueIt(null);
+
+        // Only network failures are queued; a request that can never be sent (bad URL, invalid header) fails now
+        const [err, data] = await fetchWithCSRF(url, options, config);
+        if (err?.network === true) return queueIt(err);
+        return [err, data];
+    }
+
+    async function replayAll() {
+        const entries = (await list()).sort((a, b) => a.id - b.id);
+        if (!entries.length) return { replayed: 0, remaining: 0 };
+
+        await refreshCSRF?.();
+        getCSRFToken({ refresh: true });
+
+        let replayed = 0;
+        for (const entry of entries) {
+            const [err, data] = await fetchWithCSRF(entry.url, {
+                method: entry.method,
+                headers: entry.headers,
+                body: deserializeRequestBody(entry.body),
+            }, { retries: 0 });
+
+            if (!err) {
+                await remove(entry.id);
+                replayed++;
+                onReplay?.(entry, data);
+                continue;
+            }
+
+            // Offline again: keep order and try again on the next `online` event
+            if (isOffline()) break;
+
+            if (err.status === 409 || err.status === 412) {
+                if ((await onConflict?.(entry, err)) === "retry") break;
+                await remove(entry.id);
+                continue;
+            }
+
+            // Only a definitive client error drops the entry right away. Server errors, network failures,
+            // timeouts and unreadable responses keep their place, for at most maxAttempts replays
+            const definitive = err.status >= 400 && err.status < 500 && ![408, 425, 429].includes(err.status);
+            if (!definitive) {
+                entry.attempts++;
+                if (entry.attempts < maxAttempts) {
+                    await withStore("readwrite", store => store.put(entry));
+                    break;
+                }
+            }
+
+            await remove(entry.id);
+            onFailure?.(entry, err);
+        }
+
+        return { replayed, remaining: (await list()).length };
+    }
+
+    function replay() {
+        replaying ??= replayAll().finally(() => { replaying = null; });
+        return replaying;
+    }
+
+    const onOnline = () => replay().catch(err => console.error("[createOfflineQueue] Replay failed", err));
+    if (autoReplay && typeof window !== "undefined") {
+        window.addEventListener("online", onOnline);
+        if (typeof navigator === "undefined" || navigator.onLine !== false) onOnline();
+    }
+
+    return {
+        send,
+        enqueue,
+        replay,
+        list,
+        remove,
+        clear,
+
+        destroy() {
+            if (typeof window !== "undefined") window.removeEventListener("online", onOnline);
+        },
+    };
+}
+
+
+/**
+ * Stand-in for the offline queue's object store when IndexedDB is unavailable.
+ */
+function createMemoryQueueStore() {
+    const entries = new Map();
+    let nextId = 1;
+
+    return {
+        getAll: () => [...entries.values()].map(entry => ({ ...entry })),
+        add(entry) {
+            const id = nextId++;
+            entries.set(id, { ...entry, id });
+            return id;
+        },
+        put(entry) {
+            entries.set(entry.id, { ...entry });
+            return entry.id;
+        },
+        delete: (id) => entries.delete(id),
+        clear: () => entries.clear(),
+    };
+}
+
+
+/**
+ * Turn a request body into something IndexedDB can store (Blobs and Files are kept as-is).
+ */
+function serializeRequestBody(body) {
+    if (body === undefined || body === null) return null;
+    if (body instanceof FormData) {
+        return { type: "formdata", value: [...body.entries()] };
+    }
+    if (body instanceof URLSearchParams) return { type: "urlencoded", value: body.toString() };
+    if (body instanceof Blob) return { type: "blob", value: body };
+    if (typeof body === "string") return { type: "text", value: body };
+    return { type: "json", value: body };
+}
+
+function deserializeRequestBody(serialized) {
+    if (!serialized) return undefined;
+
+    switch (serialized.type) {
+        case "formdata": {
+            const fd = new FormData();
+            serialized.value.forEach(([key, value]) => {
+                if (value instanceof File) fd.append(key, value, value.name);
+                else fd.append(key, value);
+            });
+            return fd;
+        }
+        case "urlencoded":
+            return new URLSearchParams(serialized.value);
+        default:
+            return serialized.value;
+    }
+}
+
+
+/**
+ * Turn raw `(loaded, total)` byte counts into progress objects with percent, average rate and ETA.
+ * `offset` is the byte count already done before this session (e.g. a resumed upload),
+ * so it does not inflate the rate.
+ */
+function createProgressReporter(onProgress, { offset = 0 } = {}) {
+    const startedAt = Date.now();
+
+    return (loaded, total = null) => {
+        const elapsed = (Date.now() - startedAt) / 1000;
+        const rate = elapsed > 0 ? Math.max(0, loaded - offset) / elapsed : 0;
+        const percent = total ? Math.min(100, Math.round((loaded / total) * 1000) / 10) : null;
+        const eta = total && rate ? Math.max(0, (total - loaded) / rate) : null;
+
+        onProgress({ loaded, total, percent, rate, eta });
+    };
+}
+
+
+function parseRawHeaders(raw = "") {
+    const headers = new Headers();
+    raw.trim().split(/[\r\n]+/).forEach(line => {
+        const index = line.indexOf(":");
+        if (index > 0) headers.append(line.slice(0, index).trim(), line.slice(index + 1).trim());
+    });
+    return headers;
+}
+
+
+function isPlainObject(value) {
+    return Object.prototype.toString.call(value) === "[object Object]";
+}
+
+
+function resolveClientURL(baseURL, url) {
+    if (!baseURL || /^([a-z][a-z\d+\-.]*:)?\/\//i.test(url)) return url;
+    return `${baseURL.replace(/\/+$/, "")}/${String(url).replace(/^\/+/, "")}`;
+}
+
+
+/**
+ * Parse a form element or plain object into a network-ready payload:
+ * - Returns FormData if any file inputs exist.
+ * - Returns JSON string otherwise (if autoJson = true).
+ * - Returns plain object otherwise (if autoJson = false).
+ *
+ * Nested objects are sent as bracket-keyed multipart entries (`address[city]`, `items[0][qty]`);
+ * `options.arrayFormat` decides how arrays of plain values and files are keyed:
+ * `"repeat"` (default, `tags=a&tags=b`, what Django's `getlist` expects), `"brackets"` (`tags[]`)
+ * or `"indices"` (`tags[0]`).
+ *
+ * For form elements, passing `options.nested`, `options.coerce` or `options.emptyAsNull` reads the
+ * form through {@link serializeForm} first, so the same rules apply to the payload.
+ *
+ * @param {HTMLFormElement|Object} form - Form element or plain object.
+ * @param {boolean} [autoJson=true] - Stringify text-only payloads.
+ * @param {Object} [options={}] - `{ nested, coerce, emptyAsNull, arrayFormat }`
+ * 
+ * @example
+ * const form = document.querySelector("#myForm");
+ * const parsed = formParser(form);
+ *
+ * if (parsed instanceof FormData) {
+ *   fetch("/api", { 
+ *     method: "POST", 
+ *     body: parsed 
+ *   });
+ * } else {
+ *   fetch("/api", {
+ *     method: "POST",
+ *     headers: { "Content-Type": "application/json" },
+ *     body: JSON.stringify(parsed)
+ *   });
+ * }
+ */
+function formParser(form, autoJson = true, { nested = false, coerce = false, emptyAsNull = false, arrayFormat = "repeat" } = {}) {
+    let dataObj;
+
+    if (form instanceof HTMLFormElement && (nested || coerce || emptyAsNull)) {
+        dataObj = serializeForm(form, { nested, coerce, emptyAsNull });
+    } else if (form instanceof HTMLFormElement) {
+        dataObj = new FormData(form);
+    } else if (typeof form === "object" && form !== null) {
+        dataObj = form;
+    } else {
+        throw new Error("formParser expects a form element or a plain object");
+    }
+
+    // If it's already FormData, just return it
+    if (dataObj instanceof FormData) {
+        return dataObj;
+    }
+
+    // If object contains any file/blob, convert to FormData
+    if (objectContainsFile(dataObj)) {
+        const fd = new FormData();
+        flattenToEntries(dataObj, { arrayFormat }).forEach(([key, value]) => {
+            if (value instanceof File) fd.append(key, value, value.name);
+            else fd.append(key, value);
+        });
+        return fd;
+    }
+
+    // Text-only object → return JSON string (default) or raw object
+    return autoJson ? JSON.stringify(dataObj) : dataObj;
+}
+
+
+
+/**
+ * Check if a value or object contains any File, Blob, or FileList.
+ * 
+ * This is useful when deciding whether to send data as JSON or
+ * multipart/form-data in a fetch request.
+ *
+ * Usage:
+ *   - Pass a JS object, FormData, or any value.
+ *   - Returns `true` if any part of the object is a File/Blob/FileList.
+ *   - Returns `false` for text-only data or empty objects.
+ *
+ * @param {*} obj - The value to inspect. Can be:
+ *   - Plain JS object: { username: "alice", avatar: File }
+ *   - FormData instance
+ *   - File, Blob, FileList
+ *   - Nested objects containing files
+ * @returns {boolean} - `true` if the value contains any binary files, `false` otherwise.
+ *
+ * @example
+ * objectContainsFile({ username: "alice" });               // false
+ * objectContainsFile({ avatar: fileInput.files[0] });      // true
+ * objectContainsFile(new FormData(form));                  // true if form has file inputs
+ * objectContainsFile(fileInput.files);                     // true if non-empty FileList
+ * objectContainsFile(null);                                // false
+ */
+function objectContainsFile(obj) {
+    if (obj instanceof File || obj instanceof Blob) return true;
+    if (obj instanceof FileList && obj.length > 0) return true;
+    if (obj instanceof FormData) {
+        for (const value of obj.values()) {
+            if (objectContainsFile(value)) return true;
+        }
+        return false;
+    }
+    if (typeof obj === "object" && obj !== null) {
+        return Object.values(obj).some(objectContainsFile);
+    }
+    return false; // primitives, null, undefined, etc.
+}
+
+
+/**
+ * Infers the most appropriate response type from a Fetch API Response's Content-Type header.
+ *
+ * @function getResponseType
+ * @param {Response} response - A Fetch API Response object.
+ * @returns {"json"|"text"|"multipart"|"blob"|"unknown"} -
+ *   A string describing the suggested response handler:
+ *   - `"json"` → for `application/json`
+ *   - `"text"` → for any `text/*` type
+ *   - `"multipart"` → for `multipart/*` types (e.g., form-data, mixed)
+ *   - `"blob"` → for binary types like `application/octet-stream`, `image/*`, `audio/*`, `video/*`, `application/pdf`
+ *   - `"unknown"` → if the content type cannot be categorized
+ *
+ * @example
+ * const response = await fetch("/api/data");
+ * const type = getResponseType(response);
+ *
+ * switch (type) {
+ *   case "json":
+ *     const jsonData = await response.json();
+ *     break;
+ *   case "text":
+ *     const textData = await response.text();
+ *     break;
+ *   case "blob":
+ *     const blobData = await response.blob();
+ *     break;
+ *   case "multipart":
+ *     // handle multipart parsing separately
+ *     break;
+ *   default:
+ *     console.warn("Unknown response type");
+ * }
+ */
+function getResponseType(response) {
+  const contentType = (response.headers.get("Content-Type") || "").toLowerCase();
+
+  if (contentType.includes("application/json")) return "json";
+  if (contentType.startsWith("text/")) return "text";
+  if (contentType.startsWith("multipart/")) return "multipart";
+  if (
+    contentType.includes("application/octet-stream") ||
+    contentType.startsWith("image/") ||
+    contentType.startsWith("audio/") ||
+    contentType.startsWith("video/") ||
+    contentType.includes("application/pdf")
+  ) {
+    return "blob";
+  }
+
+  return "unknown";
+}
+
+
+
+/**
+ * Safely reads a Fetch API Response by inferring the appropriate method from its Content-Type.
+ *
+ * @async
+ * @function safelyReadResponse
+ * @param {Response} response - A Fetch API Response object.
+ * @returns {Promise<any>} The parsed response body:
+ *   - `Object` (parsed JSON) if Content-Type is `application/json`
+ *   - `string` if Content-Type is `text/*`
+ *   - `Blob` if Content-Type suggests binary (`image/*`, `video/*`, `application/pdf`, etc.)
+ *   - `Array` of parts if Content-Type is `multipart/*` (see {@link readMultipart})
+ *   - `ArrayBuffer` as a fallback for unknown types
+ *
+ * @description
+ * Uses {@link getResponseType} to choose the correct method (`json`, `text`, `blob`, or `arrayBuffer`)
+ * for reading a Fetch API response. Clones the response internally so the original
+ * Response object remains usable if needed elsewhere.
+ *
+ * @example
+ * const response = await fetch("/api/data");
+ * const data = await safelyReadResponse(response);
+ *
+ * if (data instanceof Blob) {
+ *   // Handle binary (e.g. download, preview, upload)
+ * } else if (typeof data === "string") {
+ *   // Handle text
+ * } else if (Array.isArray(data)) {
+ *   // Multipart parts
+ * } else if (typeof data === "object") {
+ *   // Likely JSON
+ * }
+ */
+async function safelyReadResponse(response) {
+  const type = getResponseType(response);
+  const clone = response.clone();
+
+  switch (type) {
+    case "json":
+      return await clone.json();
+    case "text":
+      return await clone.text();
+    case "blob":
+      return await clone.blob();
+    case "multipart":
+      return await readMultipart(clone);
+    default:
+      // last-resort fallback
+      return await clone.arrayBuffer();
+  }
+}
+
+
+/**
+ * Normalizes different error types (HTTP Response or standard JS Error) 
+ * into a consistent object shape.
+ *
+ * @async
+ * @function normalizeError
+ * @param {any} error - The error to normalize. Can be a `Response`, `Error`, or unknown value.
+ * @returns {Promise<Object>} A normalized error object:
+ *   - For HTTP Response errors, and safeFetch/fetchWithCSRF HTTP errors (body = the already parsed `err.data`):
+ *     { type: "http", status: number, statusText: string, url: string, body?: any }
+ *   - For timeouts (`TimeoutError`, e.g. from safeFetch):
+ *     { type: "timeout", message: string, deadline: boolean }
+ *   - For caller aborts (`AbortError`):
+ *     { type: "abort", message: string, reason?: any }
+ *   - For JS Errors:
+ *     { type: "js", message: string, stack?: string }
+ *   - For unknown values:
+ *     { type: "unknown", value: any }
+ *
+ * @example
+ * try {
+ *   const res = await fetch("/api/fail");
+ *   if (!res.ok) throw res;
+ * } catch (err) {
+ *   const normalized = await normalizeError(err);
+ *   console.error(normalized);
+ * }
+ */
+async function normalizeError(error) {
+  if (error instanceof Response) {
+    let body;
+    try {
+      // Try to parse JSON body if available
+      const clone = error.clone();
+      body = await clone.json().catch(() => clone.text());
+    } catch {
+      body = null;
+    }
+    return {
+      type: "http",
+      status: error.status,
+      statusText: error.statusText || "",
+      url: error.url,
+      body,
+    };
+  }
+
+  // safeFetch HTTP errors: the body was already read into `data`, so don't re-read the response
+  if (error instanceof Error && typeof error.status === "number") {
+    return {
+      type: "http",
+      status: error.status,
+      statusText: error.response?.statusText || "",
+      url: error.response?.url || "",
+      body: error.data ?? null,
+    };
+  }
+
+  if (error?.name === "TimeoutError") {
+    return {
+      type: "timeout",
+      message: error.message,
+      deadline: !!error.deadline,
+    };
+  }
+
+  if (error?.name === "AbortError") {
+    return {
+      type: "abort",
+      message: error.message,
+      reason: error.cause,
+    };
+  }
+
+  if (error instanceof Error) {
+    return {
+      type: "js",
+      message: error.message || "Unknown error",
+      stack: error.stack,
+    };
+  }
+
+  return {
+    type: "unknown",
+    value: error,
+  };
+}
+
+
+/**
+ * Creates a Headers object with sensible defaults for JSON APIs and optional auth.
+ *
+ * @function createHeaders
+ * @param {Object} [options={}] - Configuration options.
+ * @param {boolean} [options.isJson=true] - Whether to set `Content-Type: application/json`.
+ * @param {string|null} [options.token=null] - Bearer token for `Authorization` header.
+ * @param {boolean} [options.csrf=false] - Whether to add the Django `X-CSRFToken` header.
+ * @param {HeadersInit} [options.extra={}] - Additional headers to include or override.
+ * @returns {Headers} A Fetch API Headers object.
+ *
+ * @example
+ * // JSON + Authorization
+ * const headers = createHeaders({ token: "abc123" });
+ * 
+ * // Custom headers
+ * const headers = createHeaders({ 
+ *   isJson: false, 
+ *   extra: { "X-Client": "my-app" } 
+ * });
+ *
+ * fetch("/api/data", { headers });
+ */
+function createHeaders({ isJson = true, token = null, csrf = false, extra = {} } = {}) {
+  const headers = new Headers();
+  const extraHeaders = new Headers(extra);
+
+  if (isJson && !extraHeaders.has("Content-Type")) {
+    headers.set("Content-Type", "application/json");
+  }
+
+  if (token) {
+    headers.set("Authorization", `Bearer ${token}`);
+  }
+
+  if (csrf) {
+    const csrfToken = getCSRFToken();
+    if (csrfToken) headers.set("X-CSRFToken", csrfToken);
+  }
+
+  extraHeaders.forEach((value, key) => headers.set(key, value));
+
+  return headers;
+}
+
+
+
+
+/**
+ * Serialize params into a query string (without `?`).
+ *
+ * Nested objects use bracket notation (`filter[status]=open`), Dates become ISO strings,
+ * `null`/`undefined` are left out. Strings and URLSearchParams are passed through as is.
+ *
+ * @param {Object|URLSearchParams|string} [params={}]
+ * @param {Object} [options={}]
+ * @param {"repeat"|"brackets"|"indices"|"comma"} [options.arrayFormat="repeat"] - `tag=a&tag=b`, `tag[]=a&tag[]=b`,
+ *   `tag[0]=a&tag[1]=b` or `tag=a,b`.
+ * @param {boolean} [options.skipEmpty=false] - Also leave out empty strings, empty arrays and empty objects.
+ * @returns {string}
+ *
+ * @example
+ * buildQuery({ search: "query", page: 2 });
+ * // → "search=query&page=2"
+ * buildQuery({ tags: ["a", "b"], filter: { status: "open" }, cursor: null }, { arrayFormat: "brackets" });
+ * // → "tags%5B%5D=a&tags%5B%5D=b&filter%5Bstatus%5D=open"
+ */
+function buildQuery(params = {}, { arrayFormat = "repeat", skipEmpty = false } = {}) {
+  if (typeof params === "string" || params instanceof URLSearchParams) {
+    return new URLSearchParams(params).toString();
+  }
+
+  const prune = (value) => {
+    if (value === null || value === undefined) return undefined;
+    if (value instanceof Date || value instanceof Blob || typeof value !== "object") {
+      return skipEmpty && value === "" ? undefined : value;
+    }
+    const pruned = Array.isArray(value)
+      ? value.map(prune).filter(item => item !== undefined)
+      : Object.fromEntries(Object.entries(value).map(([key, item]) => [key, prune(item)]).filter(([, item]) => item !== undefined));
+    return skipEmpty && !Object.keys(pruned).length ? undefined : pruned;
+  };
+
+  const query = new URLSearchParams();
+  flattenToEntries(prune(params) ?? {}, { arrayFormat })
+    .filter(([, value]) => !(value instanceof Blob))
+    .forEach(([key, value]) => query.append(key, value));
+  return query.toString();
+}
+
+
+/**
+ * Parse a query string (or a URL) back into an object, the inverse of {@link buildQuery}.
+ *
+ * Bracket keys are nested (`filter[status]`, `tags[]`, `items[0][id]`), repeated keys become arrays,
+ * and with `coerce` numbers, booleans and `null` get their type back (numbers with leading zeros stay strings).
+ *
+ * @param {string} [query=window.location.search]
+ * @param {Object} [options={}]
+ * @param {boolean} [options.coerce=true]
+ * @param {boolean} [options.nested=true] - `false` keeps bracket keys flat.
+ * @param {"repeat"|"brackets"|"indices"|"comma"} [options.arrayFormat="repeat"] - With `"comma"`, values containing commas are split.
+ * @param {string[]} [options.arrays=[]] - Top-level keys always returned as arrays, even with a single value.
+ * @returns {Object}
+ *
+ * @example
+ * parseQuery("?page=2&tags=a&tags=b&filter[status]=open&draft=false");
+ * // → { page: 2, tags: ["a", "b"], filter: { status: "open" }, draft: false }
+ */
+function parseQuery(query = window.location.search, { coerce = true, nested = true, arrayFormat = "repeat", arrays = [] } = {}) {
+  let search = String(query ?? "");
+  if (/^[a-z][a-z\d+.-]*:|^[/.]/i.test(search) || search.includes("#")) {
+    search = search.split("#")[0];
+    search = search.includes("?") ? search.slice(search.indexOf("?") + 1) : "";
+  }
+
+  const typed = (value) => {
+    if (!coerce) return value;
+    if (value === "true" || value === "false") return value === "true";
+    if (value === "null") return null;
+    if (/^-?(0|[1-9]\d*)(\.\d+)?$/.test(value) && Number.isSafeInteger(Math.trunc(Number(value)))) return Number(value);
+    return value;
+  };
+
+  const result = {};
+  new URLSearchParams(search.replace(/^\?/, "")).forEach((raw, key) => {
+    const value = arrayFormat === "comma" && raw.includes(",") ? raw.split(",").map(typed) : typed(raw);
+    const path = nested ? parseFieldPath(key) : [key];
+    if (Array.isArray(value)) value.forEach(item => setByPath(result, path[path.length - 1] === "" ? path : [...path, ""], item));
+    else setByPath(result, path, value);
+  });
+
+  arrays.forEach(key => {
+    if (key in result && !Array.isArray(result[key])) result[key] = [result[key]];
+    else if (!(key in result)) result[key] = [];
+  });
+  return result;
+}
+
+
+/**
+ * Build a URL from a path template, path params and a query.
+ *
+ * `:name` segments are filled (and encoded) from `params`; `:name?` segments are optional.
+ * A query already in the template is kept, with keys from `query` taking precedence.
+ *
+ * @param {string} path - e.g. `"/api/items/:id/"` or `"https://example.com/shop/:slug?"`.
+ * @param {Object} [options={}]
+ * @param {string} [options.base=""] - Prefixed to relative paths, e.g. `"https://api.example.com/v2"`.
+ * @param {Object} [options.params={}] - Path params.
+ * @param {Object} [options.query={}] - Query params, serialized with {@link buildQuery} (`arrayFormat`, `skipEmpty` apply).
+ * @param {string} [options.hash] - Fragment, with or without `#`.
+ * @returns {string}
+ * @throws {Error} When a required path param is missing.
+ *
+ * @example
+ * buildURL("/items/:id/reviews", { base: "https://api.example.com/v2", params: { id: 42 }, query: { page: 2, sort: "-date" } });
+ * // → "https://api.example.com/v2/items/42/reviews?page=2&sort=-date"
+ */
+function buildURL(path, { base = "", params = {}, query = {}, hash, ...queryOptions } = {}) {
+  const [beforeHash, existingHash = ""] = String(path).split("#");
+
+  // A "?" right after a param marks it optional only when a "/" or the end follows; otherwise it starts the query
+  const filled = beforeHash.replace(/:([A-Za-z_]\w*)(\?(?=\/|$))?/g, (match, name, optional) => {
+    const value = params[name];
+    if (value === undefined || value === null || value === "") {
+      if (optional) return "";
+      throw new Error(`[buildURL] Missing path param "${name}" for "${path}"`);
+    }
+    return encodeURIComponent(value);
+  });
+  const [template, existingQuery = ""] = filled.split("?");
+
+  let url = template.replace(/(?<=[^:/])\/{2,}/g, "/");
+
+  if (base && !/^([a-z][a-z\d+.-]*:|\/\/)/i.test(url)) {
+    url = `${base.replace(/\/+$/, "")}/${url.replace(/^\/+/, "")}`;
+  }
+
+  const merged = new URLSearchParams(existingQuery);
+  const extra = new URLSearchParams(buildQuery(query, queryOptions));
+  [...new Set(extra.keys())].forEach(key => merged.delete(key));
+  extra.forEach((value, key) => merged.append(key, value));
+
+  const queryString = merged.toString();
+  const fragment = (hash ?? existingHash).replace(/^#/, "");
+  return `${url}${queryString ? `?${queryString}` : ""}${fragment ? `#${fragment}` : ""}`;
+}
+
+
+
+
+
+/**
+ * Checks if a Fetch API Response is multipart and whether it contains binary data.
+ *
+ * @async
+ * @function checkMultipartBinary
+ * @param {Response} response - A Fetch API Response object to inspect.
+ * @returns {Promise<Object>} An object with the following properties:
+ *   @property {boolean} isMultipart - True if the response has a multipart Content-Type.
+ *   @property {boolean} isBinary - True if the multipart body appears to contain binary data
+ *     (any non-text/non-JSON type with nonzero size).
+ *   @property {Blob|null} blob - A Blob copy of the response body (if multipart), otherwise null.
+ *
+ * @description
+ * This function inspects the Content-Type header of a response to determine if it is multipart.
+ * If multipart, it clones the response and reads the body as a Blob so that the original response
+ * stream remains available for further processing. The blob type is checked to decide whether the
+ * content is likely binary (e.g., `application/octet-stream`, images, PDFs).
+ *
+ * Note: This does **not** parse multipart boundaries or inspect individual parts; it only provides
+ * a coarse check on the overall response payload.
+ *
+ * @deprecated Use {@link parseMultipart} or {@link readMultipart} to read the individual parts.
+ *
+ * @example
+ * const response = await fetch("/api/download");
+ * const result = await checkMultipartBinary(response);
+ *
+ * if (result.isMultipart && result.isBinary) {
+ *   // Handle binary multipart response
+ *   const fileBlob = result.blob;
+ *   // e.g., download, preview, or parse
+ * } else {
+ *   // Handle as normal JSON/text
+ *   const data = await response.json();
+ * }
+ */
+async function checkMultipartBinary(response) {
+    const contentType = response.headers.get("Content-Type");
+
+    if (contentType && contentType.startsWith("multipart/")) {
+        console.log("Response is multipart");
+
+        // Clone to avoid consuming the original response body
+        const blob = await response.clone().blob();
+
+        // More robust binary check
+        const isBinary = !/^text\/|application\/json/.test(blob.type) && blob.size > 0;
+
+        console.log(
+            isBinary
+                ? "Response contains binary data"
+                : "Response is multipart but not binary"
+        );
+
+        return { isMultipart: true, isBinary, blob };
+    }
+
+    console.log("Response is not multipart");
+    return { isMultipart: false, isBinary: false, blob: null };
+}
+
+
+/**
+ * Streams a `multipart/mixed` or `multipart/form-data` response and yields its parts one by one.
+ *
+ * @async
+ * @generator
+ * @function parseMultipart
+ * @param {Response} response - A Fetch API Response with a multipart Content-Type (and boundary).
+ * @yields {{ headers: Object<string,string>, name: string|null, filename: string|null, contentType: string, blob: Blob, body: any }}
+ *   Each part with:
+ *   - `headers` → part headers, keyed by lowercase name
+ *   - `name`, `filename` → from the part's `Content-Disposition` (`filename*` is decoded)
+ *   - `contentType` → the part's `Content-Type` (defaults to `text/plain`)
+ *   - `blob` → the raw bytes, untouched (safe for PDFs, images, ...)
+ *   - `body` → parsed JSON for JSON parts, a string for `text/*` parts, the Blob otherwise
+ * @throws {Error} If the response is not multipart or carries no boundary.
+ *
+ * @description
+ * The body is read incrementally from `response.body`, so each part is yielded as soon as its
+ * closing boundary arrives and binary parts are never decoded as text.
+ *
+ * @example
+ * const response = await fetch("/api/exports/42/");
+ * for await (const part of parseMultipart(response)) {
+ *   if (part.contentType === "application/json") renderManifest(part.body);
+ *   else downloadBlob(part.blob, part.filename);
+ * }
+ */
+async function* parseMultipart(response) {
+    const { value: mediaType, params } = parseHeaderParams(response.headers.get("Content-Type"));
+    if (!mediaType.startsWith("multipart/") || !params.boundary) {
+        throw new Error("parseMultipart expects a multipart response with a boundary");
+    }
+
+    const encoder = new TextEncoder();
+    const delimiter = encoder.encode(`--${params.boundary}`);
+    const partEnd = encoder.encode(`\r\n--${params.boundary}`);
+    const headerEnd = encoder.encode("\r\n\r\n");
+
+    let buffer = new Uint8Array(0);
+    let state = "preamble";
+    let headers = null;
+    let chunks = [];
+
+    for await (const chunk of readResponseChunks(response)) {
+        buffer = concatBytes(buffer, chunk);
+
+        while (true) {
+            if (state === "preamble") {
+                const index = indexOfBytes(buffer, delimiter);
+                const lineEnd = index === -1 ? -1 : indexOfBytes(buffer, encoder.encode("\r\n"), index);
+                if (lineEnd === -1) break;
+                buffer = buffer.subarray(lineEnd + 2);
+                state = "headers";
+            } else if (state === "headers") {
+                // A part may have no headers at all (RFC 2046: defaults to text/plain): just the blank line
+                if (buffer.length < 2) break;
+                if (buffer[0] === 0x0d && buffer[1] === 0x0a) {
+                    headers = parsePartHeaders("");
+                    buffer = buffer.subarray(2);
+                    state = "body";
+                    continue;
+                }
+                const index = indexOfBytes(buffer, headerEnd);
+                if (index === -1) break;
+                headers = parsePartHeaders(new TextDecoder().decode(buffer.subarray(0, index)));
+                buffer = buffer.subarray(index + headerEnd.length);
+                state = "body";
+            } else if (state === "body") {
+                const index = indexOfBytes(buffer, partEnd);
+                if (index === -1) {
+                    // Keep enough bytes to recognise a boundary split across chunks
+                    const keep = Math.min(buffer.length, partEnd.length - 1);
+                    chunks.push(buffer.slice(0, buffer.length - keep));
+                    buffer = buffer.slice(buffer.length - keep);
+                    break;
+                }
+                // Need the two bytes after the boundary to tell "--" (last part) from CRLF
+                if (buffer.length < index + partEnd.length + 2) break;
+
+                chunks.push(buffer.slice(0, index));
+                yield await createMultipartPart(headers, chunks);
+                chunks = [];
+
+                const rest = buffer.subarray(index + partEnd.length);
+                if (rest[0] === 0x2d && rest[1] === 0x2d) {
+                    state = "done";
+                    break;
+                }
+                const lineEnd = indexOfBytes(rest, encoder.encode("\r\n"));
+                if (lineEnd === -1) {
+                    buffer = rest;
+                    state = "preamble-line";
+                    break;
+                }
+                buffer = rest.subarray(lineEnd + 2);
+                state = "headers";
+            } else if (state === "preamble-line") {
+                const lineEnd = indexOfBytes(buffer, encoder.encode("\r\n"));
+                if (lineEnd === -1) break;
+                buffer = buffer.subarray(lineEnd + 2);
+                state = "headers";
+            } else {
+                break;
+            }
+        }
+        if (state === "done") return;
+    }
+
+    if (state !== "done") {
+        throw new Error("parseMultipart: response ended before the closing boundary");
+    }
+}
+
+
+/**
+ * Reads a whole multipart response into an array of parts.
+ * Convenience wrapper around {@link parseMultipart}.
+ *
+ * @async
+ * @function readMultipart
+ * @param {Response} response - A Fetch API Response with a multipart Content-Type.
+ * @returns {Promise<Array<Object>>} The parts, in order.
+ *
+ * @example
+ * const [manifest, ...files] = await readMultipart(await fetch("/api/exports/42/"));
+ */
+async function readMultipart(response) {
+    const parts = [];
+    for await (const part of parseMultipart(response)) {
+        parts.push(part);
+    }
+    return parts;
+}
+
+
+async function* readResponseChunks(response) {
+    if (!response.body?.getReader) {
+        yield new Uint8Array(await response.arrayBuffer());
+        return;
+    }
+
+    const reader = response.body.getReader();
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) return;
+            yield value;
+        }
+    } finally {
+        reader.releaseLock();
+    }
+}
+
+
+async function createMultipartPart(headers, chunks) {
+    const disposition = parseHeaderParams(headers["content-disposition"]);
+    const contentType = headers["content-type"] || "text/plain";
+    const blob = new Blob(chunks, { type: contentType });
+
+    let body = blob;
+    if (/^application\/([\w.+-]+\+)?json/i.test(contentType)) {
+        const text = await blob.text();
+        try {
+            body = JSON.parse(text);
+        } catch {
+            body = text;
+        }
+    } else if (contentType.toLowerCase().startsWith("text/")) {
+        body = await blob.text();
+    }
+
+    return {
+        headers,
+        name: disposition.params.name ?? null,
+        filename: disposition.params.filename ?? null,
+        contentType,
+        blob,
+        body,
+    };
+}
+
+
+function parsePartHeaders(text) {
+    const headers = {};
+    for (const line of text.split("\r\n")) {
+        const index = line.indexOf(":");
+        if (index > 0) headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+    }
+    return headers;
+}
+
+
+/**
+ * Split a structured header such as `attachment; filename="a.pdf"` into its value and parameters.
+ * Handles quoted values and RFC 5987 `param*=UTF-8''...` encoding.
+ */
+function parseHeaderParams(header = "") {
+    const [value = "", ...rest] = String(header ?? "").split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+    const params = {};
+
+    for (const pair of rest) {
+        const index = pair.indexOf("=");
+        if (index === -1) continue;
+
+        let key = pair.slice(0, index).trim().toLowerCase();
+        let paramValue = pair.slice(index + 1).trim();
+
+        if (key.endsWith("*")) {
+            key = key.slice(0, -1);
+            const [, encoded = paramValue] = paramValue.match(/^[^']*'[^']*'(.*)$/) || [];
+            try {
+                paramValue = decodeURIComponent(encoded);
+            } catch {
+                paramValue = encoded;
+            }
+        } else {
+            if (key in params) continue; // an extended `key*` value takes precedence
+            if (paramValue.startsWith('"') && paramValue.endsWith('"')) {
+                paramValue = paramValue.slice(1, -1).replace(/\\(.)/g, "$1");
+            }
+        }
+        params[key] = paramValue;
+    }
+
+    return { value: value.trim().toLowerCase(), params };
+}
+
+
+function concatBytes(a, b) {
+    if (!a.length) return b;
+    const merged = new Uint8Array(a.length + b.length);
+    merged.set(a);
+    merged.set(b, a.length);
+    return merged;
+}
+
+
+function indexOfBytes(haystack, needle, from = 0) {
+    outer: for (let i = from; i <= haystack.length - needle.length; i++) {
+        for (let j = 0; j < needle.length; j++) {
+            if (haystack[i + j] !== needle[j]) continue outer;
+        }
+        return i;
+    }
+    return -1;
+}
+
+
+
+
+function disableForm(form, state = true) {
+    [...form.elements].forEach(el => el.disabled = state);
+}
+
+
+
+function toggleClass(element, className) {
+    try {
+        element.classList.toggle(className);
+    } catch (error) {
+        console.error(error.message);
+    }
+}
+
+function showElement(element) {
+    if (element) el.style.display = '';
+}
+function hideElement(element) {
+    if (element) el.style.display = 'none';
+}
+
+
+async function copyElementText(element) {
+    if (!element) {
+        console.error(`[copyElementText] Element not found.`);
+        return false;
+    }
+
+    const text = element.textContent || element.innerText;
+    if (!text) {
+        console.error(`[copyElementText] Element has no text content to copy.`);
+        return false;
+    }
+
+    try {
+        await navigator.clipboard.writeText(text);
+        return true;
+    } catch (err) {
+        console.error('Failed to copy text: ', err);
+        return false;
+    }
+}
+
+
+
+function debounce(func, wait, options = {}) {
+    const { immediate = false, maxWait } = options;
+    let timeoutId, lastCallTime, result;
+
+    const later = (context, args) => {
+        const timeSinceLastCall = Date.now() - lastCallTime;
+
+        if (maxWait && timeSinceLastCall < maxWait) {
+            timeoutId = setTimeout(() => later(context, args), wait);
+        } else {
+            timeoutId = null;
+            if (!immediate) result = func.apply(context, args);
+        }
+    };
+
+    return function debounced(...args) {
+        const context = this;
+        const callNow = immediate && !timeoutId;
+
+        clearTimeout(timeoutId);
+        lastCallTime = Date.now();
+
+        if (callNow) {
+            result = func.apply(context, args);
+        } else if (!timeoutId && maxWait) {
+            timeoutId = setTimeout(() => later(context, args), wait);
+        } else {
+            timeoutId = setTimeout(() => later(context, args), wait);
+        }
+
+        return result;
+    };
+}
+
+
+function domIsReady() {
+    return document.readyState === 'complete' || document.readyState === 'interactive';
+}
+
+
+/**
+ * Open the share page of a registered target in a popup.
+ * Kept for compatibility; see {@link shareLink} for UTM tagging, native sharing and the other targets.
+ *
+ * @param {string} platform - A name from {@link getShareTargets}, e.g. "facebook", "twitter", "email".
+ * @param {string} url
+ * @param {string} [text='']
+ * @param {string|string[]} [hashtags=''] - Comma-separated or an array, without `#`.
+ * @returns {Promise<[Error|null, string|null]>} See {@link shareLink}.
+ */
+function shareLinkSocialMedia(platform, url, text = '', hashtags = '') {
+    // No page title: email and reddit keep using `text` as subject/title and the bare URL as body
+    return shareLink(platform, { url, text, title: '', hashtags });
+}
+
+
+const SHARE_TARGETS = new Map(Object.entries({
+    native: {
+        label: "Share…",
+        available: () => typeof navigator !== "undefined" && typeof navigator.share === "function",
+    },
+    facebook: {
+        label: "Facebook",
+        url: ({ url, text }) => `https://www.facebook.com/sharer/sharer.php?u=${encodeURIComponent(url)}&quote=${encodeURIComponent(text)}`,
+    },
+    twitter: {
+        label: "X (Twitter)",
+        url: ({ url, text, tags }) => `https://twitter.com/intent/tweet?url=${encodeURIComponent(url)}&text=${encodeURIComponent(text)}&hashtags=${encodeURIComponent(tags.join(","))}`,
+    },
+    linkedin: {
+        label: "LinkedIn",
+        url: ({ url }) => `https://www.linkedin.com/sharing/share-offsite/?url=${encodeURIComponent(url)}`,
+    },
+    whatsapp: {
+        label: "WhatsApp",
+        url: (data) => `https://api.whatsapp.com/send?text=${encodeURIComponent(composeShareText(data, { tags: false }))}`,
+    },
+    telegram: {
+        label: "Telegram",
+        url: ({ url, text }) => `https://t.me/share/url?url=${encodeURIComponent(url)}&text=${encodeURIComponent(text)}`,
+    },
+    reddit: {
+        label: "Reddit",
+        url: ({ url, text, title }) => `https://www.reddit.com/submit?url=${encodeURIComponent(url)}&title=${encodeURIComponent(title || text)}`,
+    },
+    pinterest: {
+        label: "Pinterest",
+        url: ({ url, text }) => `https://pinterest.com/pin/create/button/?url=${encodeURIComponent(url)}&description=${encodeURIComponent(text)}`,
+    },
+    mastodon: {
+        label: "Mastodon",
+        defaults: { instance: "mastodon.social" },
+        url: (data) => `https://${String(data.instance).replace(/^https?:\/\/|\/+$/g, "")}/share?text=${encodeURIComponent(composeShareText(data))}`,
+    },
+    bluesky: {
+        label: "Bluesky",
+        url: (data) => `https://bsky.app/intent/compose?text=${encodeURIComponent(composeShareText(data))}`,
+    },
+    threads: {
+        label: "Threads",
+        url: (data) => `https://www.threads.net/intent/post?text=${encodeURIComponent(composeShareText(data))}`,
+    },
+    email: {
+        label: "Email",
+        popup: false,
+        utmMedium: "email",
+        url: ({ url, text, title }) => `mailto:?subject=${encodeURIComponent(title || text)}&body=${encodeURIComponent(title && text ? `${text}\n\n${url}` : url)}`,
+    },
+    sms: {
+        label: "SMS",
+        popup: false,
+        utmMedium: "sms",
+        url: (data) => `sms:?&body=${encodeURIComponent(composeShareText(data, { tags: false }))}`,
+    },
+    copy: {
+        label: "Copy link",
+        utmMedium: "referral",
+        announce: "Link copied to clipboard.",
+        action: async ({ url }) => {
+            await navigator.clipboard.writeText(url);
+        },
+    },
+}));
+
+
+/**
+ * Add (or replace) a share target.
+ *
+ * A target either builds a share URL (`url(data)`), opened in a centered popup (or in the current tab
+ * with `popup: false`, for `mailto:`/`sms:` style links), or runs an `action(data)` (sync or async).
+ * `data` holds `{ url, text, title, tags, ...defaults, ...options }`, `url` already UTM-tagged.
+ *
+ * @param {string} name
+ * @param {Object} target
+ * @param {string} target.label - Visible button text.
+ * @param {Function} [target.url] - `(data) => shareUrl`.
+ * @param {Function} [target.action] - `(data) => void|Promise`.
+ * @param {Object|false} [target.popup={ width: 600, height: 400 }]
+ * @param {Object} [target.defaults] - Default option values, e.g. `{ instance: "mastodon.social" }`.
+ * @param {string} [target.utmSource=name] - `utm_source` used for this target.
+ * @param {string} [target.utmMedium="social"] - `utm_medium` used for this target.
+ * @param {Function} [target.available] - Return `false` to hide the target (e.g. missing browser API).
+ * @param {string} [target.announce] - Message read by screen readers after a successful `action` in {@link renderShareButtons}.
+ *
+ * @example
+ * registerShareTarget("hackernews", {
+ *   label: "Hacker News",
+ *   url: ({ url, title }) => `https://news.ycombinator.com/submitlink?u=${encodeURIComponent(url)}&t=${encodeURIComponent(title)}`,
+ * });
+ * registerShareTarget("mastodon", { ...getShareTargets().mastodon, defaults: { instance: "fosstodon.org" } });
+ */
+function registerShareTarget(name, target) {
+    if (!name || !target || (typeof target.url !== "function" && typeof target.action !== "function" && name !== "native")) {
+        console.error(`[registerShareTarget] "${name}" needs a url(data) or action(data) function.`);
+        return false;
+    }
+    SHARE_TARGETS.set(name, { label: name, ...target });
+    return true;
+}
+
+
+/**
+ * The registered targets, by name.
+ */
+function getShareTargets() {
+    return Object.fromEntries(SHARE_TARGETS);
+}
+
+
+/**
+ * Share a link through a registered target.
+ *
+ * The `"native"` target uses the Web Share API (`navigator.share`) and falls back to `fallback` when it is
+ * unavailable or fails. Any target can try it first with `preferNative: true`.
+ * With `utm`, the shared URL gets `utm_source=<target>` and `utm_medium=social` (overridable per target)
+ * plus the given campaign params.
+ *
+ * @param {string} target - Target name, e.g. "native", "mastodon", "copy".
+ * @param {Object} data
+ * @param {string} [data.url=window.location.href]
+ * @param {string} [data.text=""]
+ * @param {string} [data.title=document.title]
+ * @param {string|string[]} [data.hashtags] - Comma-separated or an array, without `#`.
+ * @param {Object} [options={}] - Also passed to the target, e.g. `{ instance: "fosstodon.org" }` for Mastodon.
+ * @param {Object|boolean} [options.utm] - `true` or `{ campaign, content, term, medium, source }`.
+ * @param {boolean} [options.preferNative=false]
+ * @param {string} [options.fallback="copy"] - Target used when native sharing is not possible (any target but "native").
+ * @returns {Promise<[Error|null, string|null]>} `[err, via]` with `via` one of "native", "popup", "navigate", "action".
+ *   A share dismissed by the user resolves to an `AbortError`; a blocked popup to a `PopupBlockedError`.
+ *
+ * @example
+ * const [err, via] = await shareLink("native", { url: product.url, text: product.name }, { utm: { campaign: "spring" } });
+ * if (via === "action") toast("Link copied");
+ */
+async function shareLink(target, data = {}, { utm = null, preferNative = false, fallback = "copy", ...options } = {}) {
+    const definition = SHARE_TARGETS.get(target);
+    if (!definition) {
+        console.error('Unsupported social media platform:', target);
+        return [new Error(`Unknown share target "${target}"`), null];
+    }
+
+    const shareData = prepareShareData(target, definition, data, { utm, ...options });
+
+    if (target === "native" || preferNative) {
+        const native = SHARE_TARGETS.get("native");
+        const nativeData = prepareShareData("native", native, data, { utm, ...options });
+        const payload = Object.fromEntries(Object.entries({ url: nativeData.url, text: nativeData.text, title: nativeData.title })
+            .filter(([, value]) => value));
+        if (native.available() && (navigator.canShare?.(payload) ?? true)) {
+            try {
+                await navigator.share(payload);
+                return [null, "native"];
+            } catch (err) {
+                if (err?.name === "AbortError") return [err, null];
+                console.warn("[shareLink] Native share failed, using the fallback.", err);
+            }
+        }
+        if (target === "native") {
+            if (fallback === "native") {
+                console.error(`[shareLink] "${fallback}" cannot be used as the fallback of native sharing.`);
+                return [new Error(`Invalid share fallback "${fallback}"`), null];
+            }
+            return shareLink(fallback, data, { utm, ...options });
+        }
+    }
+
+    try {
+        if (typeof definition.action === "function") {
+            await definition.action(shareData);
+            return [null, "action"];
+        }
+
+        const shareUrl = definition.url(shareData);
+        if (definition.popup === false) {
+            window.location.assign(shareUrl);
+            return [null, "navigate"];
+        }
+        if (!openSharePopup(shareUrl, definition.popup)) {
+            const error = new Error("The share popup was blocked");
+            error.name = "PopupBlockedError";
+            error.url = shareUrl;
+            return [error, null];
+        }
+        return [null, "popup"];
+    } catch (err) {
+        console.error(`[shareLink] Sharing to "${target}" failed`, err);
+        return [err, null];
+    }
+}
+
+
+/**
+ * Render accessible share buttons from the registry into `container`.
+ *
+ * URL targets become real links (`<a target="_blank" rel="noopener noreferrer">`, so they work without
+ * JavaScript and when popups are blocked) opened in a popup on click; action targets (native, copy) become
+ * `<button type="button">`. Unavailable targets are skipped. A polite live region announces copy results.
+ *
+ * @param {HTMLElement} container
+ * @param {Object} [options={}]
+ * @param {string[]} [options.targets] - Target names in display order (default: every registered target).
+ * @param {Object} [options.data={}] - Share data, see {@link shareLink}.
+ * @param {Object} [options.shareOptions={}] - `shareLink` options (`utm`, `instance`...).
+ * @param {string} [options.label="Share"] - Accessible name of the list.
+ * @param {Function} [options.onShare] - `(target, [err, via])` after each share.
+ * @returns {{ element: HTMLElement, destroy: Function }|null}
+ *
+ * @example
+ * renderShareButtons(document.querySelector("#share"), {
+ *   targets: ["native", "mastodon", "bluesky", "whatsapp", "email", "copy"],
+ *   data: { url: article.url, title: article.title, hashtags: ["django"] },
+ *   shareOptions: { utm: { campaign: "blog" }, instance: "fosstodon.org" },
+ * });
+ */
+function renderShareButtons(container, {
+    targets = [...SHARE_TARGETS.keys()],
+    data = {},
+    shareOptions = {},
+    label = "Share",
+    onShare = null,
+} = {}) {
+    if (!container) {
+        console.warn("[renderShareButtons] Target element not found.");
+        return null;
+    }
+
+    const list = document.createElement("ul");
+    list.className = "share-buttons";
+    list.setAttribute("aria-label", label);
+
+    const status = document.createElement("span");
+    status.className = "visually-hidden";
+    status.setAttribute("role", "status");
+    status.setAttribute("aria-live", "polite");
+
+    targets.forEach(name => {
+        const definition = SHARE_TARGETS.get(name);
+        if (!definition || definition.available?.() === false) return;
+
+        const isLink = typeof definition.url === "function" && name !== "native";
+        const control = document.createElement(isLink ? "a" : "button");
+        control.className = `share-button share-${name}`;
+        control.dataset.shareTarget = name;
+        control.textContent = definition.label;
+
+        if (isLink) {
+            const { utm, fallback, preferNative, ...options } = shareOptions;
+            control.href = definition.url(prepareShareData(name, definition, data, { utm, ...options }));
+            if (definition.popup !== false) {
+                control.target = "_blank";
+                control.rel = "noopener noreferrer";
+                control.setAttribute("aria-label", `${label}: ${definition.label} (opens in a new window)`);
+            } else {
+                control.setAttribute("aria-label", `${label}: ${definition.label}`);
+            }
+        } else {
+            control.type = "button";
+            control.setAttribute("aria-label", name === "native" ? label : `${label}: ${definition.label}`);
+        }
+
+        const item = document.createElement("li");
+        item.append(control);
+        list.append(item);
+    });
+
+    const onClick = async (event) => {
+        const control = event.target.closest("[data-share-target]");
+        if (!control || !list.contains(control)) return;
+
+        const name = control.dataset.shareTarget;
+        const definition = SHARE_TARGETS.get(name);
+        let result;
+
+        if (control.tagName === "A") {
+            // Open the popup synchronously (popup blockers need the click); if blocked, let the link navigate
+            if (definition.popup === false) {
+                result = [null, "navigate"];
+            } else if (openSharePopup(control.href, definition.popup)) {
+                event.preventDefault();
+                result = [null, "popup"];
+            } else {
+                result = [null, "navigate"];
+            }
+        } else {
+            result = await shareLink(name, data, shareOptions);
+            const [err, via] = result;
+            const used = name === "native" ? SHARE_TARGETS.get(shareOptions.fallback ?? "copy") : definition;
+            if (via === "action" && used?.announce) status.textContent = used.announce;
+            else if (err && err.name !== "AbortError") status.textContent = "Sharing failed.";
+        }
+
+        onShare?.(name, result);
+    };
+
+    list.addEventListener("click", onClick);
+    container.replaceChildren(list, status);
+
+    return {
+        element: list,
+        destroy() {
+            list.removeEventListener("click", onClick);
+            list.remove();
+            status.remove();
+        },
+    };
+}
+
+
+/**
+ * Normalize share data for a target: defaults, hashtags as an array and the UTM-tagged URL.
+ */
+function prepareShareData(name, definition, data, { utm = null, ...options } = {}) {
+    const hashtags = data.hashtags ?? options.hashtags ?? "";
+    const prepared = {
+        ...definition.defaults,
+        ...options,
+        url: data.url || (typeof window !== "undefined" ? window.location.href : ""),
+        text: data.text || "",
+        title: data.title ?? (typeof document !== "undefined" ? document.title : ""),
+        tags: (Array.isArray(hashtags) ? hashtags : String(hashtags).split(","))
+            .map(tag => String(tag).trim().replace(/^#/, ""))
+            .filter(Boolean),
+    };
+
+    if (utm) {
+        const params = {
+            utm_source: utm.source ?? definition.utmSource ?? name,
+            utm_medium: utm.medium ?? definition.utmMedium ?? "social",
+            utm_campaign: utm.campaign,
+            utm_content: utm.content,
+            utm_term: utm.term,
+        };
+        try {
+            const tagged = new URL(prepared.url, typeof window !== "undefined" ? window.location.href : undefined);
+            Object.entries(params).forEach(([key, value]) => {
+                if (value !== undefined && value !== null && value !== "") tagged.searchParams.set(key, value);
+            });
+            prepared.url = tagged.href;
+        } catch {
+            console.warn(`[shareLink] Could not add UTM params to "${prepared.url}".`);
+        }
+    }
+
+    return prepared;
+}
+
+
+/**
+ * "text url #tag1 #tag2" for targets that only take a message.
+ */
+function composeShareText({ text, url, tags }, { tags: withTags = true } = {}) {
+    return [text, url, ...(withTags ? tags.map(tag => `#${tag}`) : [])].filter(Boolean).join(" ");
+}
+
+
+/**
+ * Open `url` in a popup centered over the current window. Returns `false` when it was blocked.
+ */
+function openSharePopup(url, { width = 600, height = 400 } = {}) {
+    const left = Math.max(0, (window.screenX ?? 0) + ((window.outerWidth || width) - width) / 2);
+    const top = Math.max(0, (window.screenY ?? 0) + ((window.outerHeight || height) - height) / 2);
+    const popup = window.open(url, "_blank", `width=${width},height=${height},left=${Math.round(left)},top=${Math.round(top)}`);
+    if (!popup) return false;
+    try {
+        popup.opener = null;
+    } catch {
+        // Cross-origin already
+    }
+    return true;
+}
+
+
+function waitForDomReady() {
+    return new Promise(resolve => {
+        if (domIsReady()) {
+            resolve();
+        }
+        else {
+            document.addEventListener('DOMContentLoaded', resolve);
+        }
+    });
+}
+
+function setElementLocked(el, isDisabled = true) {
+    if (!el) {
+        console.warn("[setElementLocked] Target element not found.");
+        return null; // return null to signal no action
+    }
+
+    const isAlreadyDisabled = el.hasAttribute("disabled");
+
+    if (isDisabled) {
+        if (isAlreadyDisabled) return true; // ! already locked
+        el.setAttribute("disabled", "true");
+        el.classList.add("is-locked");
+        return false; // ! just locked now
+    } else {
+        el.removeAttribute("disabled");
+        el.classList.remove("is-locked");
+        return true; //  * just unlocked now
+    }
+}
+
+
+
+/**
+ * Write the current date/time into an element (text, value or both), formatted with {@link formatDate}.
+ * `options.locale` / `options.timeZone` are passed to the formatter; `options.date` shows another date than now.
+ */
+function setCurrentDateTime(el, format = 'YYYY-MM-DD HH:mm:ss', mode = 'text', { locale, timeZone, date } = {}) {
+    if (!el) {
+        console.warn("[setCurrentDateTime] Target element not found.");
+        return null;
+    }
+
+    const now = toDate(date);
+    if (!now) {
+        console.warn("[setCurrentDateTime] Invalid date provided.", date);
+        return null;
+    }
+
+    const formattedDate = formatDate(now, format, { locale, timeZone });
+
+    const isoString = now.toISOString();
+    const readable = now.toLocaleString(locale || 'en-US', {
+        timeZone,
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23'
+    });
+
+    // Apply mode safely
+    switch (mode) {
+        case 'text':
+            el.textContent = formattedDate;
+            break;
+        case 'value':
+            if ('value' in el) el.value = formattedDate;
+            else console.warn('[setCurrentDateTime] Element does not support value property.');
+            break;
+        case 'both':
+            el.textContent = formattedDate;
+            if ('value' in el) el.value = formattedDate;
+            break;
+        default:
+            console.warn(`[setCurrentDateTime] Unknown mode "${mode}", defaulting to text.`);
+            el.textContent = formattedDate;
+    }
+
+    // Set attributes for semantic info
+    el.setAttribute('datetime', isoString);
+    el.setAttribute('data-format', format);
+    el.setAttribute('title', readable);
+    el.classList.add('current-datetime');
+
+    return formattedDate;
+}
+
+
+
+function formValidate(form) {
+    if (!form || !(form instanceof HTMLFormElement)) {
+        console.error('Invalid form element provided for validation.');
+        return false;
+    }
+    const inputs = form.querySelectorAll('input, select, textarea');
+
+    function validateGenericInput(input) {
+        if (input.checkValidity()) {
+            input.classList.remove('is-invalid');
+            input.classList.add('is-valid');
+        } else {
+            input.classList.remove('is-valid');
+            input.classList.add('is-invalid');
+        }
+    }
+
+    inputs.forEach(input => {
+        input.addEventListener('input', function () {
+            validateGenericInput(input);
+        });
+        input.addEventListener('blur', function () {
+            input.dispatchEvent(new Event('input'));
+        });
+    });
+}
+
+
+function passwordStrengthRegex(password, regex) {
+    /** can be used along css classes */
+    if (!password || typeof password !== 'string') {
+        console.error('Invalid password provided for strength validation.');
+        return false;
+    }
+    if (!regex || !(regex instanceof RegExp)) {
+        regex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,}$/; // Default regex for strong password
+    }
+
+    return regex.test(password);
+}
+
+
+const COMMON_PASSWORDS = new Set([
+    "123456", "123456789", "12345678", "12345", "1234567", "1234567890", "123123", "111111", "000000",
+    "654321", "121212", "666666", "7777777", "112233", "password", "password1", "password123", "passw0rd",
+    "qwerty", "qwerty123", "qwertyuiop", "azerty", "asdfgh", "asdfghjkl", "zxcvbnm", "1q2w3e4r", "1qaz2wsx",
+    "abc123", "abcdef", "iloveyou", "admin", "admin123", "administrator", "root", "welcome", "welcome1",
+    "letmein", "monkey", "dragon", "master", "sunshine", "princess", "football", "baseball", "soccer",
+    "shadow", "superman", "batman", "trustno1", "hello", "hello123", "freedom", "whatever", "starwars",
+    "michael", "jennifer", "charlie", "secret", "login", "changeme", "default", "guest", "test", "test123",
+    "azertyuiop", "loveme", "ninja", "mustang", "access", "flower", "pokemon", "computer", "internet",
+    "samsung", "google", "summer", "winter", "spring", "autumn", "matrix", "killer", "cheese", "cookie",
+]);
+
+const PASSWORD_STRENGTH_LABELS = ["Very weak", "Weak", "Fair", "Strong", "Very strong"];
+
+
+/**
+ * Score a password from 0 (very weak) to 4 (very strong) and explain how to improve it.
+ *
+ * The estimate starts from the character pool × length entropy, then discounts repeated characters,
+ * sequences (`abc`, `321`), keyboard rows (`qwerty`), common passwords (also in l33t speak, e.g. `p@ssw0rd`)
+ * and pieces of the user's own data.
+ *
+ * @param {string} password
+ * @param {Object} [options={}]
+ * @param {string[]} [options.userInputs=[]] - Values the password should not resemble (username, email, name).
+ * @returns {{ score: number, label: string, entropy: number, feedback: { warning: string, suggestions: string[] } }}
+ *
+ * @example
+ * analyzePassword("Summer2024!", { userInputs: ["alice@example.com"] });
+ * // → { score: 1, label: "Weak", entropy: 39.4, feedback: { warning: "This is similar to a commonly used password.", suggestions: ["Use at least 12 characters."] } }
+ */
+function analyzePassword(password, { userInputs = [] } = {}) {
+    const text = typeof password === "string" ? password : "";
+    const lower = text.toLowerCase();
+    const suggestions = [];
+    let warning = "";
+
+    const hasLower = /[a-z]/.test(text);
+    const hasUpper = /[A-Z]/.test(text);
+    const hasDigit = /\d/.test(text);
+    const hasSymbol = /[^\w\s]|_/.test(text);
+    const hasOther = /[^\x00-\x7F]/.test(text);
+    const pool = (hasLower ? 26 : 0) + (hasUpper ? 26 : 0) + (hasDigit ? 10 : 0) + (hasSymbol ? 33 : 0)
+        + (hasOther ? 100 : 0) + (/\s/.test(text) ? 1 : 0);
+
+    // Characters that add little: the tail of repeats and sequences
+    let predictable = 0;
+    const repeats = text.match(/(.)\1{2,}/g) || [];
+    repeats.forEach(run => predictable += run.length - 1);
+    if (repeats.length) suggestions.push("Avoid repeated characters like \"aaa\".");
+
+    const sequences = findPasswordSequences(lower);
+    sequences.forEach(run => predictable += run.length - 1);
+    if (sequences.length) suggestions.push("Avoid sequences like \"abc\", \"123\" or \"qwerty\".");
+
+    const unleet = lower.replace(/[@4]/g, "a").replace(/3/g, "e").replace(/[1!|]/g, "i").replace(/0/g, "o")
+        .replace(/[$5]/g, "s").replace(/7/g, "t");
+    const common = [...COMMON_PASSWORDS].filter(word => word.length >= 4 && (lower.includes(word) || unleet.includes(word)));
+    const longestCommon = common.reduce((max, word) => Math.max(max, word.length), 0);
+    predictable += Math.max(0, longestCommon - 1);
+
+    const personal = userInputs
+        .flatMap(value => {
+            const input = String(value || "").toLowerCase().trim();
+            return input.includes("@") ? [input, input.split("@")[0]] : [input];
+        })
+        .flatMap(input => input.split(/[\s._-]+/).concat(input))
+        .filter(part => part.length >= 3 && (lower.includes(part) || unleet.includes(part)));
+    const longestPersonal = personal.reduce((max, part) => Math.max(max, part.length), 0);
+    predictable += Math.max(0, longestPersonal - 1);
+
+    const effectiveLength = Math.max(text ? 1 : 0, text.length - predictable);
+    const entropy = text ? Math.round(effectiveLength * Math.log2(Math.max(pool, 2)) * 10) / 10 : 0;
+
+    let score = entropy < 28 ? 0 : entropy < 36 ? 1 : entropy < 60 ? 2 : entropy < 80 ? 3 : 4;
+
+    if (COMMON_PASSWORDS.has(lower) || COMMON_PASSWORDS.has(unleet)) {
+        score = 0;
+        warning = "This is a very common password.";
+    } else if (longestCommon) {
+        score = Math.min(score, 1);
+        warning = "This is similar to a commonly used password.";
+    }
+    if (longestPersonal) {
+        score = Math.min(score, 1);
+        warning ||= "Too similar to your username or email.";
+        suggestions.push("Don't reuse your name, username or email.");
+    }
+    if (repeats.length || sequences.length) {
+        warning ||= "Predictable patterns are easy to guess.";
+    }
+
+    if (text.length < 12) suggestions.push("Use at least 12 characters.");
+    if (!hasSymbol) suggestions.push("Add a symbol.");
+    if (!hasDigit) suggestions.push("Add a number.");
+    if (!hasUpper && hasLower) suggestions.push("Add an uppercase letter.");
+    if (!hasLower && hasUpper) suggestions.push("Add a lowercase letter.");
+
+    return {
+        score,
+        label: PASSWORD_STRENGTH_LABELS[score],
+        entropy,
+        feedback: { warning, suggestions: score === 4 ? [] : suggestions },
+    };
+}
+
+
+/**
+ * Runs of 3+ characters that follow the alphabet, digits or a keyboard row (either direction).
+ */
+function findPasswordSequences(text) {
+    const rows = ["abcdefghijklmnopqrstuvwxyz", "0123456789", "qwertyuiop", "asdfghjkl", "zxcvbnm", "azertyuiop", "qsdfghjklm", "wxcvbn"];
+    // Steps (+1 forward, -1 backward) that lead from a to b on some row
+    const stepsBetween = (a, b) => [1, -1].filter(step => rows.some(row => {
+        const i = row.indexOf(a);
+        return i !== -1 && row[i + step] === b;
+    }));
+
+    const runs = [];
+    let start = 0;
+    let directions = [];
+    for (let i = 1; i <= text.length; i++) {
+        const steps = i < text.length ? stepsBetween(text[i - 1], text[i]) : [];
+        // The first step fixes the direction: "abc" and "cba" are runs, "pop" and "abab" are not
+        const kept = i - start > 1 ? steps.filter(step => directions.includes(step)) : steps;
+        if (kept.length) {
+            directions = kept;
+            continue;
+        }
+        if (i - start >= 3) runs.push(text.slice(start, i));
+        // The pair that broke the run may start the next one
+        start = steps.length ? i - 1 : i;
+        directions = steps;
+    }
+    return runs;
+}
+
+
+/**
+ * Connect {@link analyzePassword} to a password input and a strength meter.
+ *
+ * The meter can be a `<meter>` or `<progress>` (its value is set to the score, max 4) or any element,
+ * which gets `data-score`, a `strength-<score>` class and `aria-valuenow`. An optional feedback element
+ * lists the warning and suggestions. A toggler button is wired with {@link togglePasswordVisibility}.
+ *
+ * @param {HTMLInputElement} input - The password field.
+ * @param {HTMLElement} meter - The strength indicator.
+ * @param {Object} [options={}]
+ * @param {HTMLElement} [options.feedback] - Where to render the label, warning and suggestions.
+ * @param {HTMLElement} [options.toggler] - Show/hide button for the same field.
+ * @param {Array<HTMLInputElement|string>} [options.userInputs=[]] - Fields (read live) or values the password should not resemble.
+ * @param {Function} [options.onChange] - Called with each analysis result.
+ * @returns {{ analyze: Function, destroy: Function }}
+ *
+ * @example
+ * bindPasswordStrength(form.password, document.querySelector("#pw-meter"), {
+ *   feedback: document.querySelector("#pw-feedback"),
+ *   toggler: document.querySelector("#pw-toggle"),
+ *   userInputs: [form.username, form.email],
+ * });
+ */
+function bindPasswordStrength(input, meter, { feedback = null, toggler = null, userInputs = [], onChange = null } = {}) {
+    if (!input || !meter) {
+        console.error("[bindPasswordStrength] Target elements not found.");
+        return null;
+    }
+
+    if (toggler) togglePasswordVisibility(input, toggler);
+
+    const analyze = () => {
+        const values = userInputs.map(item => (item && typeof item === "object" && "value" in item ? item.value : item));
+        const result = analyzePassword(input.value, { userInputs: values });
+        const empty = input.value === "";
+
+        if ("max" in meter && "value" in meter) {
+            meter.max = 4;
+            meter.value = empty ? 0 : result.score;
+        } else {
+            meter.setAttribute("role", "meter");
+            meter.setAttribute("aria-valuemin", "0");
+            meter.setAttribute("aria-valuemax", "4");
+            meter.setAttribute("aria-valuenow", String(result.score));
+        }
+        meter.dataset.score = empty ? "" : String(result.score);
+        meter.classList.remove(...PASSWORD_STRENGTH_LABELS.map((label, score) => `strength-${score}`));
+        if (!empty) meter.classList.add(`strength-${result.score}`);
+        meter.setAttribute("aria-valuetext", empty ? "" : result.label);
+
+        if (feedback) {
+            feedback.replaceChildren();
+            if (!empty) {
+                const label = document.createElement("strong");
+                label.textContent = result.label;
+                feedback.append(label);
+                if (result.feedback.warning) feedback.append(` ${result.feedback.warning}`);
+                if (result.feedback.suggestions.length) {
+                    const list = document.createElement("ul");
+                    result.feedback.suggestions.forEach(text => {
+                        const item = document.createElement("li");
+                        item.textContent = text;
+                        list.append(item);
+                    });
+                    feedback.append(list);
+                }
+            }
+        }
+
+        onChange?.(result);
+        return result;
+    };
+
+    input.addEventListener("input", analyze);
+    const watched = userInputs.filter(item => item && typeof item.addEventListener === "function");
+    watched.forEach(el => el.addEventListener("input", analyze));
+    analyze();
+
+    return {
+        analyze,
+        destroy() {
+            input.removeEventListener("input", analyze);
+            watched.forEach(el => el.removeEventListener("input", analyze));
+        },
+    };
+}
+
+
+function togglePasswordVisibility(inputEl, togglerEl) {
+
+    if (!inputEl || !togglerEl) {
+        console.error('[togglePasswordVisibility] Target elements not found.');
+        return;
+    }
+
+    togglerEl.addEventListener('click', function () {
+        if (inputEl.type === 'password') {
+            inputEl.type = 'text';
+            togglerEl.innerHTML = "<i class='fa fa-eye'></i>";
+        } else {
+            inputEl.type = 'password';
+            togglerEl.innerHTML = "<i class='fa fa-eye-slash'></i>";
+        }
+    });
+}
+
+
+function nowTimestamp({ includeDate = false, format = null, locale, timeZone } = {}) {
+    if (format) return formatDate(new Date(), format, { locale, timeZone });
+
+    // Default behavior
+    return formatDate(new Date(), includeDate ? 'DD/MM/YYYY HH:mm' : 'HH:mm', { timeZone });
+}
+
+
+/**
+ * Format a date with tokens, or with `Intl.DateTimeFormat` options.
+ *
+ * | Token | Output | | Token | Output |
+ * |---|---|---|---|---|
+ * | `YYYY` `YY` | 2024, 24 | | `HH` `H` | 00-23 |
+ * | `MMMM` `MMM` | January, Jan (locale) | | `hh` `h` | 01-12 |
+ * | `MM` `M` | 01, 1 | | `A` `a` | AM/PM, am/pm (locale) |
+ * | `DD` `D` | 05, 5 | | `mm` `m`, `ss` `s` | minutes, seconds |
+ * | `dddd` `ddd` | Friday, Fri (locale) | | `SSS` | milliseconds |
+ * | `Z` `ZZ` | +01:00, +0100 | | `[text]` | literal text |
+ *
+ * Tokens are only replaced as whole words: a run of letters made only of tokens (`HH`, `HHmm`, `YYYYMMDD`).
+ * Other words are kept as they are (`"Due HH:mm"`), but single letters like `a` or `D` are tokens,
+ * so put literal words in brackets when in doubt: `"DD/MM [at] HH:mm"`.
+ *
+ * @param {Date|number|string} [date=new Date()] - A Date, a timestamp in ms or an ISO string
+ *   (`"2024-03-05"` alone is read as a local date, not UTC midnight).
+ * @param {string|Intl.DateTimeFormatOptions} [format="YYYY-MM-DD HH:mm:ss"]
+ * @param {Object} [options={}]
+ * @param {string} [options.locale] - BCP 47 tag for names and Intl output (default: the browser's).
+ * @param {string} [options.timeZone] - IANA zone, e.g. "Europe/Paris" or "UTC" (default: local).
+ * @returns {string} The formatted date, or "" for an invalid date.
+ *
+ * @example
+ * formatDate("2024-03-05T14:07:09Z", "dddd D MMMM YYYY [at] h:mm A", { locale: "en", timeZone: "UTC" });
+ * // → "Tuesday 5 March 2024 at 2:07 PM"
+ * formatDate("2024-03-05T14:07:09Z", "Updated HH:mm, dddd", { locale: "en", timeZone: "UTC" });
+ * // → "Updated 14:07, Tuesday"
+ * formatDate(Date.now(), { dateStyle: "medium", timeStyle: "short" }, { locale: "fr" });
+ * // → "5 mars 2024, 15:07"
+ */
+function formatDate(date = new Date(), format = 'YYYY-MM-DD HH:mm:ss', { locale, timeZone } = {}) {
+    const value = toDate(date);
+    if (!value) {
+        console.warn("[formatDate] Invalid date:", date);
+        return "";
+    }
+
+    try {
+        if (format && typeof format === "object") {
+            return new Intl.DateTimeFormat(locale, { ...format, timeZone }).format(value);
+        }
+
+        const parts = getDateParts(value, timeZone);
+        const pad = (n, length = 2) => String(n).padStart(length, '0');
+        const name = (options) => new Intl.DateTimeFormat(locale, { ...options, timeZone }).format(value);
+        const dayPeriod = () => new Intl.DateTimeFormat(locale, { hour: 'numeric', hour12: true, timeZone })
+            .formatToParts(value).find(part => part.type === 'dayPeriod')?.value ?? (parts.hour < 12 ? 'AM' : 'PM');
+        const offset = (separator) => {
+            const sign = parts.offset < 0 ? '-' : '+';
+            const minutes = Math.abs(parts.offset);
+            return `${sign}${pad(Math.floor(minutes / 60))}${separator}${pad(minutes % 60)}`;
+        };
+        const hour12 = parts.hour % 12 || 12;
+
+        const tokens = {
+            YYYY: () => pad(parts.year, 4),
+            YY: () => pad(parts.year % 100),
+            MMMM: () => name({ month: 'long' }),
+            MMM: () => name({ month: 'short' }),
+            MM: () => pad(parts.month),
+            M: () => parts.month,
+            DD: () => pad(parts.day),
+            D: () => parts.day,
+            dddd: () => name({ weekday: 'long' }),
+            ddd: () => name({ weekday: 'short' }),
+            HH: () => pad(parts.hour),
+            H: () => parts.hour,
+            hh: () => pad(hour12),
+            h: () => hour12,
+            mm: () => pad(parts.minute),
+            m: () => parts.minute,
+            ss: () => pad(parts.second),
+            s: () => parts.second,
+            SSS: () => pad(value.getMilliseconds(), 3),
+            A: () => dayPeriod().toUpperCase(),
+            a: () => dayPeriod().toLowerCase(),
+            ZZ: () => offset(''),
+            Z: () => offset(':'),
+        };
+
+        const token = "YYYY|YY|MMMM|MMM|MM|M|DD|D|dddd|ddd|HH|H|hh|h|mm|m|SSS|ss|s|A|a|ZZ|Z";
+        const isTokenWord = new RegExp(`^(?:${token})+$`);
+        const tokenPattern = new RegExp(token, "g");
+        return String(format).replace(/\[([^\]]*)]|[A-Za-z]+/g, (word, literal) => {
+            if (literal !== undefined) return literal;
+            return isTokenWord.test(word) ? word.replace(tokenPattern, match => String(tokens[match]())) : word;
+        });
+    } catch (e) {
+        console.warn("[formatDate] Could not format date:", e);
+        return "";
+    }
+}
+
+
+/**
+ * Describe a date relative to now (or `base`): "3 minutes ago", "in 2 days", "yesterday".
+ * The unit is picked from the distance (seconds up to a minute, then minutes, hours, days, weeks, months, years).
+ *
+ * @param {Date|number|string} date
+ * @param {Object} [options={}]
+ * @param {Date|number|string} [options.base=new Date()]
+ * @param {string} [options.locale]
+ * @param {"always"|"auto"} [options.numeric="auto"] - "auto" allows "yesterday" / "now" instead of "1 day ago" / "in 0 seconds".
+ * @param {"long"|"short"|"narrow"} [options.style="long"]
+ * @param {string} [options.unit] - Force a unit ("minute", "day"...).
+ * @returns {string} "" for an invalid date.
+ *
+ * @example
+ * formatRelativeTime(Date.now() - 3 * 60 * 1000);           // → "3 minutes ago"
+ * formatRelativeTime("2030-01-01", { locale: "fr" });       // → "dans 4 ans"
+ */
+function formatRelativeTime(date, { base, locale, numeric = 'auto', style = 'long', unit } = {}) {
+    const value = toDate(date);
+    const from = toDate(base);
+    if (!value || !from) {
+        console.warn("[formatRelativeTime] Invalid date:", value ? base : date);
+        return "";
+    }
+
+    const seconds = (value.getTime() - from.getTime()) / 1000;
+    const units = [
+        ['year', 365.25 * 86400],
+        ['month', 30.4375 * 86400],
+        ['week', 7 * 86400],
+        ['day', 86400],
+        ['hour', 3600],
+        ['minute', 60],
+        ['second', 1],
+    ];
+    const limits = { second: 60, minute: 3600, hour: 86400, day: 7 * 86400, week: 30.4375 * 86400, month: 365.25 * 86400 };
+    const [chosen, size] = unit
+        ? units.find(([name]) => name === unit.replace(/s$/, '')) || units[units.length - 1]
+        : [...units].reverse().find(([name]) => !limits[name] || Math.abs(seconds) < limits[name]);
+
+    try {
+        return new Intl.RelativeTimeFormat(locale, { numeric, style }).format(Math.round(seconds / size), chosen);
+    } catch (e) {
+        console.warn("[formatRelativeTime] Could not format date:", e);
+        return "";
+    }
+}
+
+
+/**
+ * A valid Date from a Date, timestamp (ms) or date string; `undefined`/`null` mean now.
+ */
+function toDate(input) {
+    if (input === undefined || input === null) return new Date();
+
+    let date;
+    if (input instanceof Date) {
+        date = new Date(input.getTime());
+    } else if (typeof input === "string" && /^\d{4}-\d{2}-\d{2}$/.test(input.trim())) {
+        const [year, month, day] = input.trim().split("-").map(Number);
+        date = new Date(year, month - 1, day);
+    } else {
+        date = new Date(input);
+    }
+    return isNaN(date.getTime()) ? null : date;
+}
+
+
+/**
+ * Calendar fields of `date` in `timeZone` (or local time), plus the zone offset in minutes.
+ */
+function getDateParts(date, timeZone) {
+    if (!timeZone) {
+        return {
+            year: date.getFullYear(),
+            month: date.getMonth() + 1,
+            day: date.getDate(),
+            hour: date.getHours(),
+            minute: date.getMinutes(),
+            second: date.getSeconds(),
+            offset: -date.getTimezoneOffset(),
+        };
+    }
+
+    const fields = Object.fromEntries(
+        new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+        })
+            .formatToParts(date)
+            .filter(part => part.type !== 'literal')
+            .map(part => [part.type, Number(part.value)])
+    );
+    const wallClock = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second);
+    const offset = Math.round((wallClock - (date.getTime() - date.getMilliseconds())) / 60000);
+    return { ...fields, offset };
+}
+
+
+
+function validateInputRegex(inputEl, regex) {
+    if (!inputEl || !(inputEl instanceof HTMLInputElement)) {
+        console.error('Invalid input element provided for regex validation.');
+        return false;
+    }
+    if (!regex || !(regex instanceof RegExp)) {
+        console.error('Invalid regex provided for validation.');
+        return false;
+    }
+
+    inputEl.addEventListener('input', function () {
+        if (regex.test(inputEl.value)) {
+            inputEl.classList.remove('is-invalid');
+            inputEl.classList.add('is-valid');
+        } else {
+            inputEl.classList.remove('is-valid');
+            inputEl.classList.add('is-invalid');
+        }
+    });
+    inputEl.addEventListener('blur', function () {
+        inputEl.dispatchEvent(new Event('input'));
+    });
+}
+
+const VALIDATION_MESSAGES = {
+    required: "This field is required.",
+    min: "Must be at least {min}.",
+    max: "Must be at most {max}.",
+    minLength: "Must be at least {minLength} characters.",
+    maxLength: "Must be at most {maxLength} characters.",
+    pattern: "Invalid format.",
+    email: "Enter a valid email address.",
+    matches: "Does not match {matches}.",
+    validate: "Invalid value.",
+    validateError: "This value could not be checked, please try again.",
+};
+
+
+/**
+ * Declarative, schema-based form validation.
+ *
+ * @function createValidator
+ * @param {HTMLFormElement} form - The form to validate.
+ * @param {Object<string, Object>} schema - Rules per field name:
+ *   - `required` → value must not be empty (unchecked boxes, empty selects and file inputs count as empty)
+ *   - `min`, `max` → numeric bounds
+ *   - `minLength`, `maxLength` → string length (or number of selected values for multi-value fields)
+ *   - `pattern` → RegExp the value must match
+ *   - `email` → must look like an email address
+ *   - `matches` → name of another field that must hold the same value (password confirmation)
+ *   - `validate` → custom validator or array of them, `(value, values, form) => true | false | string`,
+ *     sync or async; a string is used as the error message. A validator that throws or rejects (e.g. an
+ *     availability check whose request fails) is logged and reported with the `validateError` message
+ *   Any rule can be given as `{ value, message }` to override its message, and `messages` maps rule
+ *   names to messages for the field. Messages may use `{rule}` placeholders, e.g. "At least {minLength}".
+ * @param {Object} [options={}]
+ * @param {string[]} [options.validateOn=["blur", "input", "change"]] - Events that validate a field once it has
+ *   been touched (`input` only kicks in after the first `blur` or `change`, so users are not scolded while typing).
+ * @param {Object} [options.messages] - Default messages per rule, merged over the built-in English ones.
+ * @param {Function} [options.errorContainer] - `(name, elements, form) => Element` where a field's messages go;
+ *   defaults to `[data-error-for="name"]`, then a sibling `.invalid-feedback`, created if missing.
+ * @param {boolean} [options.submitGuard=false] - Block native submits until the whole form is valid.
+ * @returns {Object} Validator with `validate()`, `validateField(name)`, `reset()`, `destroy()`,
+ *   and read-only `errors` and `isValid`.
+ *
+ * Errors are returned as `{ fieldName: ["message", ...] }`. Fields get Bootstrap's `is-valid`/`is-invalid`
+ * classes and `aria-invalid`; the form gets `is-valid`/`is-invalid`, `data-valid` and a `validation`
+ * event with `{ valid, errors }` after every full validation.
+ *
+ * @example
+ * const validator = createValidator(form, {
+ *   email: { required: true, email: true },
+ *   age: { min: { value: 18, message: "Adults only." } },
+ *   password: { required: true, minLength: 8 },
+ *   password_confirm: { required: true, matches: "password", messages: { matches: "Passwords differ." } },
+ *   username: {
+ *     required: true,
+ *     validate: async (value) => {
+ *       const [, data] = await safeFetch(`/api/users/available/?username=${encodeURIComponent(value)}`);
+ *       return data?.available || "This username is taken.";
+ *     },
+ *   },
+ * });
+ *
+ * const { valid, errors } = await validator.validate();
+ */
+function createValidator(form, schema = {}, {
+    validateOn = ["blur", "input", "change"],
+    messages = {},
+    errorContainer = null,
+    submitGuard = false,
+} = {}) {
+    if (!(form instanceof HTMLFormElement)) {
+        throw new Error("createValidator expects a form element");
+    }
+
+    const errors = {};
+    const touched = new Set();
+    const runIds = {};
+    const listeners = [];
+    const defaultMessages = { ...VALIDATION_MESSAGES, ...messages };
+
+    const listen = (target, type, handler) => {
+        target.addEventListener(type, handler);
+        listeners.push(() => target.removeEventListener(type, handler));
+    };
+
+    const messageFor = (name, rule, ruleValue, params) => {
+        const template = (isPlainObject(ruleValue) && ruleValue.message)
+            || schema[name].messages?.[rule]
+            || defaultMessages[rule];
+        return template.replace(/\{(\w+)\}/g, (match, key) => params[key] ?? match);
+    };
+
+    async function checkField(name) {
+        const rules = schema[name];
+        const values = readFormValues(form, Object.keys(schema));
+        const value = values[name];
+        const fieldErrors = [];
+
+        const ruleParams = {};
+        for (const [rule, raw] of Object.entries(rules)) {
+            ruleParams[rule] = isPlainObject(raw) && "value" in raw ? raw.value : raw;
+        }
+        const { required, min, max, minLength, maxLength, pattern, email, matches } = ruleParams;
+        const fail = (rule) => fieldErrors.push(messageFor(name, rule, rules[rule], ruleParams));
+
+        if (isEmptyValue(value)) {
+            if (required) fail("required");
+            return fieldErrors;
+        }
+
+        const text = Array.isArray(value) ? null : String(value);
+        const length = Array.isArray(value) ? value.length : text.length;
+
+        if (min !== undefined && Number(value) < min) fail("min");
+        if (max !== undefined && Number(value) > max) fail("max");
+        if (minLength !== undefined && length < minLength) fail("minLength");
+        if (maxLength !== undefined && length > maxLength) fail("maxLength");
+        if (pattern instanceof RegExp && text !== null && !pattern.test(text)) fail("pattern");
+        if (email && text !== null && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text)) fail("email");
+        if (matches && String(value) !== String(values[matches] ?? "")) fail("matches");
+
+        for (const validator of [].concat(rules.validate || [])) {
+            if (fieldErrors.length) break;
+            const fn = isPlainObject(validator) ? validator.value : validator;
+            let result;
+            try {
+                result = await fn(value, values, form);
+            } catch (e) {
+                console.warn(`[createValidator] Custom validator for "${name}" failed`, e);
+                fieldErrors.push(messageFor(name, "validateError", null, ruleParams));
+                break;
+            }
+            if (typeof result === "string") fieldErrors.push(result);
+            else if (result === false) fieldErrors.push(messageFor(name, "validate", validator, ruleParams));
+        }
+
+        return fieldErrors;
+    }
+
+    function updateFormState() {
+        const valid = Object.keys(errors).length === 0;
+        form.classList.toggle("is-valid", valid);
+        form.classList.toggle("is-invalid", !valid);
+        form.dataset.valid = String(valid);
+        return valid;
+    }
+
+    async function validateField(name) {
+        if (!schema[name]) return [];
+
+        const runId = (runIds[name] || 0) + 1;
+        runIds[name] = runId;
+
+        const fieldErrors = await checkField(name);
+        if (runIds[name] !== runId) return errors[name] || []; // a newer run superseded this one
+
+        if (fieldErrors.length) errors[name] = fieldErrors;
+        else delete errors[name];
+
+        setFieldFeedback(form, name, fieldErrors, { errorContainer });
+        updateFormState();
+        return fieldErrors;
+    }
+
+    async function validate() {
+        Object.keys(schema).forEach(name => touched.add(name));
+        await Promise.all(Object.keys(schema).map(validateField));
+
+        const valid = updateFormState();
+        const result = { valid, errors: { ...errors } };
+        form.dispatchEvent(new CustomEvent("validation", { detail: result }));
+        return result;
+    }
+
+    const fieldNameOf = (target) => target?.name && schema[target.name] ? target.name : null;
+    const dependentsOf = (name) => Object.keys(schema).filter(other => {
+        const matches = schema[other].matches;
+        return (isPlainObject(matches) ? matches.value : matches) === name;
+    });
+
+    const onFieldEvent = (event) => {
+        const name = fieldNameOf(event.target);
+        if (!name) return;
+        if (event.type === "blur" || event.type === "focusout" || event.type === "change") touched.add(name);
+        if (!touched.has(name)) return;
+
+        const report = (e) => console.error(`[createValidator] Validating "${name}" failed`, e);
+        validateField(name).catch(report);
+        dependentsOf(name).filter(dep => touched.has(dep)).forEach(dep => validateField(dep).catch(report));
+    };
+
+    validateOn.forEach(type => {
+        // blur does not bubble; focusout does
+        listen(form, type === "blur" ? "focusout" : type, onFieldEvent);
+    });
+
+    if (submitGuard) {
+        let confirmed = false;
+        listen(form, "submit", async (event) => {
+            if (confirmed) return;
+            event.preventDefault();
+            let valid;
+            try {
+                ({ valid } = await validate());
+            } catch (e) {
+                // The submit is already prevented: keep it blocked and show the form as invalid
+                console.error("[createValidator] Validating the form before submit failed", e);
+                form.classList.remove("is-valid");
+                form.classList.add("is-invalid");
+                form.dataset.valid = "false";
+                return;
+            }
+            if (!valid) {
+                focusFirstInvalid(form);
+                return;
+            }
+            confirmed = true;
+            form.requestSubmit ? form.requestSubmit(event.submitter || undefined) : form.submit();
+            confirmed = false;
+        });
+    }
+
+    return {
+        validate,
+        validateField,
+
+        get errors() {
+            return { ...errors };
+        },
+
+        get isValid() {
+            return Object.keys(errors).length === 0;
+        },
+
+        reset() {
+            Object.keys(errors).forEach(name => delete errors[name]);
+            touched.clear();
+            Object.keys(schema).forEach(name => clearFieldFeedback(form, name, { errorContainer }));
+            form.classList.remove("is-valid", "is-invalid");
+            delete form.dataset.valid;
+        },
+
+        destroy() {
+            listeners.splice(0).forEach(off => off());
+        },
+    };
+}
+
+
+const NON_FIELD_ERROR_KEYS = new Set(["non_field_errors", "__all__"]);
+const serverErrorFields = new WeakMap();
+
+
+/**
+ * Displays server-side validation errors (Django, DRF, RFC 7807) on the matching form fields.
+ *
+ * @function applyServerErrors
+ * @param {HTMLFormElement} form - The submitted form.
+ * @param {Error|Object} error - A safeFetch/fetchWithCSRF error (`err.data`), a {@link normalizeError}
+ *   result (`body`), or the raw error payload.
+ * @param {Object} [options={}]
+ * @param {boolean} [options.focus=true] - Focus the first invalid field.
+ * @param {boolean} [options.clear=true] - Remove errors shown by a previous call first.
+ * @param {boolean} [options.clearOnInput=true] - Drop a field's server error as soon as the user edits it.
+ * @param {Element|string} [options.nonFieldContainer] - Element (or selector) for errors not tied to a field;
+ *   defaults to `[data-error-for="__all__"]` or `.non-field-errors`, created at the top of the form if missing.
+ * @param {Function} [options.errorContainer] - Same as in {@link createValidator}.
+ * @returns {{ fieldErrors: Object<string,string[]>, nonFieldErrors: string[], unmatched: string[] }}
+ *   What was found; `unmatched` lists field names with no input in the form (their messages are shown
+ *   with the non-field errors).
+ *
+ * Understood payloads:
+ * - Django forms: `{ errors: { field: ["msg"], __all__: ["msg"] } }`, also `form.errors.get_json_data()` shapes
+ * - DRF: `{ field: ["msg"], non_field_errors: ["msg"] }`, `{ detail: "msg" }`, nested serializers
+ *   (`{ address: { city: ["msg"] } }` → `address[city]` or `address.city`) and lists (`items[1][qty]`)
+ * - RFC 7807 problem+json: `detail`/`title`, plus `invalid-params: [{ name, reason }]`
+ *   or `errors: [{ detail, pointer }]` extensions
+ *
+ * @example
+ * const [err, saved] = await fetchWithCSRF(form.action, { body: formParser(form, false) });
+ * if (err?.status === 400) applyServerErrors(form, err);
+ *
+ * @example
+ * // Same thing through normalizeError
+ * const normalized = await normalizeError(err);
+ * if (normalized.type === "http") applyServerErrors(form, normalized);
+ */
+function applyServerErrors(form, error, {
+    focus = true,
+    clear = true,
+    clearOnInput = true,
+    nonFieldContainer = null,
+    errorContainer = null,
+} = {}) {
+    if (!(form instanceof HTMLFormElement)) {
+        console.error("[applyServerErrors] provided element is not a form.");
+        return { fieldErrors: {}, nonFieldErrors: [], unmatched: [] };
+    }
+
+    // normalizeError() results: only "http" ones carry a server payload ("js", "timeout", "abort" do not)
+    const normalizedTypes = ["http", "js", "timeout", "abort", "unknown"];
+    const payload = error instanceof Error
+        ? error.data
+        : normalizedTypes.includes(error?.type)
+            ? (error.type === "http" ? error.body : null)
+            : error;
+    const { fieldErrors, nonFieldErrors } = extractServerErrors(payload);
+    const nonField = [...nonFieldErrors];
+    const unmatched = [];
+    const shown = [];
+
+    if (clear) {
+        (serverErrorFields.get(form) || []).forEach(name => clearFieldFeedback(form, name, { errorContainer }));
+    }
+
+    for (const [path, messages] of Object.entries(fieldErrors)) {
+        const name = fieldNameCandidates(path).find(candidate => getFieldElements(form, candidate).length);
+        if (!name) {
+            unmatched.push(path);
+            nonField.push(...messages.map(message => `${path}: ${message}`));
+            continue;
+        }
+
+        setFieldFeedback(form, name, messages, { errorContainer, markValid: false });
+        shown.push(name);
+
+        if (clearOnInput) {
+            getFieldElements(form, name).forEach(el => el.addEventListener("input", () => {
+                clearFieldFeedback(form, name, { errorContainer });
+            }, { once: true }));
+        }
+    }
+    serverErrorFields.set(form, shown);
+
+    const container = resolveNonFieldContainer(form, nonFieldContainer, nonField.length > 0);
+    if (container) {
+        container.textContent = nonField.join(" ");
+        container.hidden = nonField.length === 0;
+    }
+
+    if (focus && shown.length) focusFirstInvalid(form);
+
+    return { fieldErrors, nonFieldErrors: nonField, unmatched };
+}
+
+
+/**
+ * Normalize the common server error shapes into `{ fieldErrors: { "a.b": [msg] }, nonFieldErrors: [msg] }`
+ * (field paths are dot-joined here and mapped to real input names later).
+ */
+function extractServerErrors(payload) {
+    const fieldErrors = {};
+    const nonFieldErrors = [];
+    if (!payload || typeof payload !== "object") return { fieldErrors, nonFieldErrors };
+
+    const addField = (path, messages) => {
+        if (!messages.length) return;
+        const key = path.join(".");
+        fieldErrors[key] = [...(fieldErrors[key] || []), ...messages];
+    };
+
+    const visit = (value, path) => {
+        if (isErrorMessageList(value)) {
+            addField(path, collectErrorMessages(value));
+        } else if (Array.isArray(value)) {
+            value.forEach((item, index) => item && visit(item, [...path, index]));
+        } else if (isPlainObject(value)) {
+            for (const [key, nested] of Object.entries(value)) {
+                if (NON_FIELD_ERROR_KEYS.has(key)) {
+                    if (path.length) addField(path, collectErrorMessages(nested));
+                    else nonFieldErrors.push(...collectErrorMessages(nested));
+                } else {
+                    visit(nested, [...path, key]);
+                }
+            }
+        }
+    };
+
+    const isProblem = typeof payload.title === "string" || (typeof payload.type === "string" && "status" in payload);
+    const invalidParams = payload["invalid-params"] || payload.invalid_params;
+
+    if (Array.isArray(invalidParams)) {
+        invalidParams.forEach(({ name, reason, detail, message } = {}) => {
+            const text = reason || detail || message;
+            if (name && text) addField(String(name).split(/[.[\]]+/).filter(Boolean), [text]);
+            else if (text) nonFieldErrors.push(text);
+        });
+    }
+
+    if (Array.isArray(payload.errors) && !isErrorMessageList(payload.errors)) {
+        payload.errors.forEach((item) => {
+            const text = item?.detail || item?.message || item?.reason || item?.title;
+            const pointer = item?.pointer || item?.source?.pointer || item?.field || item?.name;
+            if (!text) return;
+            if (pointer) addField(pointerToPath(pointer), [text]);
+            else nonFieldErrors.push(text);
+        });
+    } else if (isPlainObject(payload.errors)) {
+        visit(payload.errors, []);
+    } else if (!isProblem) {
+        const { detail, errors, ...rest } = payload;
+        visit(rest, []);
+        if (errors) nonFieldErrors.push(...collectErrorMessages(errors));
+        if (typeof detail === "string") nonFieldErrors.push(detail);
+    }
+
+    if (isProblem && !nonFieldErrors.length && !Object.keys(fieldErrors).length) {
+        nonFieldErrors.push(payload.detail || payload.title);
+    }
+
+    return { fieldErrors, nonFieldErrors: nonFieldErrors.filter(Boolean) };
+}
+
+
+function isErrorMessageList(value) {
+    const isMessage = (item) => typeof item === "string" || (isPlainObject(item) && typeof item.message === "string");
+    return isMessage(value) || (Array.isArray(value) && value.length > 0 && value.every(isMessage));
+}
+
+function collectErrorMessages(value) {
+    if (typeof value === "string") return [value];
+    if (Array.isArray(value)) return value.flatMap(collectErrorMessages);
+    if (isPlainObject(value) && typeof value.message === "string") return [value.message];
+    return [];
+}
+
+function pointerToPath(pointer) {
+    return String(pointer)
+        .replace(/^#?\/?/, "")
+        .replace(/^data\/attributes\//, "")
+        .split(/[/.[\]]+/)
+        .filter(Boolean)
+        .map(segment => segment.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+/**
+ * Input names a dotted error path may correspond to: `address[city]` first, then `address.city`.
+ */
+function fieldNameCandidates(path) {
+    const [head, ...rest] = path.split(".");
+    return [...new Set([head + rest.map(segment => `[${segment}]`).join(""), path])];
+}
+
+function resolveNonFieldContainer(form, container, create) {
+    if (typeof container === "string") container = form.querySelector(container) || document.querySelector(container);
+    if (container) return container;
+
+    const existing = form.querySelector('[data-error-for="__all__"], .non-field-errors');
+    if (existing || !create) return existing;
+
+    const created = document.createElement("div");
+    created.className = "non-field-errors alert alert-danger";
+    created.setAttribute("role", "alert");
+    form.prepend(created);
+    return created;
+}
+
+
+/**
+ * The form elements sharing a field name (radio/checkbox groups give several).
+ */
+function getFieldElements(form, name) {
+    const found = form.elements.namedItem(name);
+    if (!found) return [];
+    return found instanceof Element ? [found] : [...found];
+}
+
+
+/**
+ * Read a field's current value the way a user thinks of it:
+ * checkbox groups and multi-selects give arrays, a single checkbox its value or "",
+ * radios the checked value or "", file inputs an array of Files.
+ */
+function readFieldValue(elements) {
+    const [first] = elements;
+    if (!first) return undefined;
+
+    if (first.type === "checkbox") {
+        const checked = elements.filter(el => el.checked).map(el => el.value);
+        return elements.length > 1 ? checked : (checked[0] ?? "");
+    }
+    if (first.type === "radio") {
+        return elements.find(el => el.checked)?.value ?? "";
+    }
+    if (first.type === "select-multiple") {
+        return [...first.selectedOptions].map(option => option.value);
+    }
+    if (first.type === "file") {
+        return [...(first.files || [])];
+    }
+    return first.value;
+}
+
+
+function readFormValues(form, names) {
+    return Object.fromEntries(names.map(name => [name, readFieldValue(getFieldElements(form, name))]));
+}
+
+
+function isEmptyValue(value) {
+    return value === undefined || value === null || value === "" || (Array.isArray(value) && value.length === 0);
+}
+
+
+/**
+ * Show (or clear, with an empty list) validation messages for a field:
+ * toggles `is-valid`/`is-invalid` and `aria-invalid`, and fills the field's error container.
+ */
+function setFieldFeedback(form, name, messages = [], { errorContainer = null, markValid = true } = {}) {
+    const elements = getFieldElements(form, name);
+    if (!elements.length) return null;
+
+    const invalid = messages.length > 0;
+    elements.forEach(el => {
+        el.classList.toggle("is-invalid", invalid);
+        el.classList.toggle("is-valid", !invalid && markValid);
+        if (invalid) el.setAttribute("aria-invalid", "true");
+        else el.removeAttribute("aria-invalid");
+    });
+
+    const container = findErrorContainer(form, name, elements, { errorContainer, create: invalid });
+    if (container) {
+        container.textContent = messages.join(" ");
+        if (!container.id) container.id = generateId(`${name.replace(/[^\w-]+/g, "-")}-error-`);
+        elements.forEach(el => {
+            const describedBy = new Set((el.getAttribute("aria-describedby") || "").split(" ").filter(Boolean));
+            describedBy.add(container.id);
+            el.setAttribute("aria-describedby", [...describedBy].join(" "));
+        });
+    }
+    return container;
+}
+
+
+function clearFieldFeedback(form, name, { errorContainer = null } = {}) {
+    getFieldElements(form, name).forEach(el => {
+        el.classList.remove("is-valid", "is-invalid");
+        el.removeAttribute("aria-invalid");
+    });
+    const container = findErrorContainer(form, name, [], { errorContainer, create: false });
+    if (container) container.textContent = "";
+}
+
+
+function findErrorContainer(form, name, elements, { errorContainer = null, create = false } = {}) {
+    if (typeof errorContainer === "function") return errorContainer(name, elements, form) || null;
+
+    const explicit = form.querySelector(`[data-error-for="${CSS.escape(name)}"]`);
+    if (explicit) return explicit;
+
+    const last = elements[elements.length - 1] || getFieldElements(form, name).pop();
+    if (!last) return null;
+
+    // Radio/checkbox groups usually wrap each input, so look next to the group's last wrapper
+    const anchor = elements.length > 1 || ["radio", "checkbox"].includes(last.type)
+        ? last.closest(".form-check") || last
+        : last;
+    let sibling = anchor.nextElementSibling;
+    while (sibling && !sibling.matches(".invalid-feedback")) sibling = sibling.nextElementSibling;
+    if (sibling || !create) return sibling || null;
+
+    const feedback = document.createElement("div");
+    feedback.className = "invalid-feedback";
+    anchor.insertAdjacentElement("afterend", feedback);
+    return feedback;
+}
+
+
+function focusFirstInvalid(form) {
+    const first = form.querySelector(".is-invalid:not(form)");
+    if (first) {
+        first.focus({ preventScroll: true });
+        first.scrollIntoView?.({ block: "center", behavior: "smooth" });
+    }
+    return first;
+}
+
+
+/**
+ * Read a cookie value, percent-decoded.
+ *
+ * @param {string} name
+ * @param {Object} [options={}]
+ * @param {boolean} [options.json=false] - Parse the value as JSON (falls back to the raw string if it isn't).
+ * @returns {*} The value, or `null` if the cookie is not set.
+ *
+ * @example
+ * getCookie("csrftoken");
+ * getCookie("consent", { json: true }); // → { analytics: true, ads: false }
+ */
+function getCookie(name, { json = false } = {}) {
+    const all = getAllCookies({ json });
+    return Object.prototype.hasOwnProperty.call(all, name) ? all[name] : null;
+}
+
+
+/**
+ * Parse every cookie visible to the page into an object.
+ *
+ * Values may contain `=`; surrounding quotes are stripped and percent-encoding is decoded.
+ * When a name appears more than once (e.g. different paths), the first, most specific one wins.
+ *
+ * @param {Object} [options={}]
+ * @param {boolean} [options.json=false] - Parse each value as JSON when possible.
+ * @returns {Object<string, *>}
+ */
+function getAllCookies({ json = false } = {}) {
+    const cookies = {};
+    if (typeof document === "undefined" || !document.cookie) return cookies;
+
+    document.cookie.split(';').forEach(pair => {
+        const index = pair.indexOf('=');
+        if (index === -1) return;
+
+        const name = decodeCookiePart(pair.slice(0, index).trim());
+        if (!name || Object.prototype.hasOwnProperty.call(cookies, name)) return;
+
+        const value = decodeCookiePart(pair.slice(index + 1).trim().replace(/^"(.*)"$/, '$1'));
+        // defineProperty, so a cookie named "__proto__" is stored like any other
+        Object.defineProperty(cookies, name, {
+            value: json ? parseCookieJSON(value) : value,
+            enumerable: true,
+            writable: true,
+            configurable: true,
+        });
+    });
+
+    return cookies;
+}
+
+
+/**
+ * Write a cookie with proper encoding and attributes.
+ *
+ * @param {string} name
+ * @param {*} value - Strings are stored as is; with `json: true` (or for non-string values) the value is JSON-encoded.
+ * @param {Object} [options={}]
+ * @param {Date|number|string} [options.expires] - A Date, a number of days from now, or a date string. Omit for a session cookie.
+ * @param {number} [options.maxAge] - Lifetime in seconds (takes precedence over `expires` in browsers).
+ * @param {string} [options.path="/"]
+ * @param {string} [options.domain]
+ * @param {"Lax"|"Strict"|"None"} [options.sameSite="Lax"]
+ * @param {boolean} [options.secure] - Defaults to `true` on https pages; always forced for `SameSite=None`.
+ * @param {boolean} [options.json=false]
+ * @returns {boolean} `true` if the cookie was written.
+ *
+ * @example
+ * setCookie("consent", { analytics: true, ads: false }, { expires: 180, json: true });
+ * setCookie("beta_flag", "on", { maxAge: 3600, sameSite: "Strict" });
+ */
+function setCookie(name, value, {
+    expires,
+    maxAge,
+    path = "/",
+    domain,
+    sameSite = "Lax",
+    secure,
+    json = false,
+} = {}) {
+    if (typeof document === "undefined") return false;
+    if (!name || /[=;,\s]/.test(name)) {
+        console.warn(`[setCookie] Invalid cookie name: "${name}".`);
+        return false;
+    }
+
+    const raw = json || (value !== null && typeof value === "object") ? JSON.stringify(value) : String(value ?? "");
+    const parts = [`${encodeURIComponent(name)}=${encodeCookieValue(raw)}`];
+
+    if (expires !== undefined && expires !== null) {
+        const date = expires instanceof Date
+            ? expires
+            : typeof expires === "number"
+                ? new Date(Date.now() + expires * 864e5)
+                : new Date(expires);
+        if (isNaN(date.getTime())) {
+            console.warn(`[setCookie] Invalid expires value for "${name}":`, expires);
+        } else {
+            parts.push(`expires=${date.toUTCString()}`);
+        }
+    }
+    if (typeof maxAge === "number" && isFinite(maxAge)) parts.push(`max-age=${Math.floor(maxAge)}`);
+    if (path) parts.push(`path=${path}`);
+    if (domain) parts.push(`domain=${domain}`);
+
+    const site = sameSite ? String(sameSite).charAt(0).toUpperCase() + String(sameSite).slice(1).toLowerCase() : "";
+    if (site) parts.push(`SameSite=${site}`);
+
+    const isHttps = typeof location !== "undefined" && location.protocol === "https:";
+    if (site === "None" && secure === false) {
+        console.warn(`[setCookie] SameSite=None requires Secure; forcing it for "${name}".`);
+    }
+    if (site === "None" || (secure ?? isHttps)) parts.push("Secure");
+
+    document.cookie = parts.join("; ");
+    return true;
+}
+
+
+/**
+ * Delete a cookie. `path` and `domain` must match the ones it was set with.
+ *
+ * @param {string} name
+ * @param {Object} [options={}]
+ * @param {string} [options.path="/"]
+ * @param {string} [options.domain]
+ * @param {boolean} [options.secure] - Browsers only delete `__Secure-`/`__Host-` cookies with `Secure`,
+ *   so it is always set for those names.
+ * @returns {boolean} `true` if the cookie is gone afterwards.
+ */
+function deleteCookie(name, { path = "/", domain, secure = false } = {}) {
+    const prefixed = /^__(Secure|Host)-/.test(name);
+    setCookie(name, "", { expires: new Date(0), maxAge: 0, path, domain, secure: secure || prefixed, sameSite: null });
+    return getCookie(name) === null;
+}
+
+
+function encodeCookieValue(value) {
+    // Keep characters that are legal in a cookie value readable
+    return encodeURIComponent(value).replace(/%(2[346BF]|3[AC-F]|40|5[BDE]|60|7[BCD])/g, decodeURIComponent);
+}
+
+
+function decodeCookiePart(value) {
+    try {
+        return value.includes('%') ? decodeURIComponent(value) : value;
+    } catch {
+        return value;
+    }
+}
+
+
+function parseCookieJSON(value) {
+    try {
+        return JSON.parse(value);
+    } catch {
+        return value;
+    }
+}
+
+
+const getCSRFToken = (() => {
+    let cachedToken = null;
+
+    return ({ refresh = false } = {}) => {
+        // Django rotates the token on login and only updates the cookie, so a refresh trusts it first
+        if (refresh) {
+            cachedToken = getCookie('csrftoken');
+            if (cachedToken) return cachedToken;
+        }
+
+        // Return cached value if available
+        if (cachedToken) return cachedToken;
+
+        // 1. Look for hidden input
+        const input = document.querySelector('input[name="csrfmiddlewaretoken"]');
+        if (input && input.value) {
+            cachedToken = input.value;
+            return cachedToken;
+        }
+
+        // 2. Look for <meta name="csrf-token" content="...">
+        const meta = document.querySelector('meta[name="csrf-token"]');
+        if (meta && meta.content) {
+            cachedToken = meta.content;
+            return cachedToken;
+        }
+
+        // 3. Look for CSRF cookie (if not HttpOnly)
+        const cookieToken = getCookie('csrftoken');
+        if (cookieToken) {
+            cachedToken = cookieToken;
+            return cachedToken;
+        }
+        else {
+            console.warn('[CSRF] Token not found in DOM input, meta, or cookies.');
+            return null;
+        }
+
+    };
+})();
+
+
+
+/**
+ * safeFetch for Django mutations: adds the `X-CSRFToken` header and defaults the method to POST.
+ * Goes through the default client, so its interceptors apply.
+ *
+ * @example
+ * const [err, saved] = await fetchWithCSRF("/api/items/", { body: { name: "Test" } });
+ */
+async function fetchWithCSRF(url, options = {}, config = {}) {
+    return getDefaultClient().request(
+        url,
+        {
+            ...options,
+            method: options.method || "POST",
+        },
+        { ...config, csrf: true }
+    );
+}
+
+
+/**
+ * Serialize a form into a plain object (repeated names become arrays).
+ *
+ * @param {HTMLFormElement} form
+ * @param {Object} [options={}]
+ * @param {boolean} [options.asJSON=false] - Return a JSON string instead of an object.
+ * @param {boolean} [options.nested=false] - Expand bracket/dot names into nested objects and arrays:
+ *   `address[city]` / `address.city` → `{ address: { city } }`, `items[0][qty]` → `{ items: [{ qty }] }`,
+ *   `tags[]` → `{ tags: [...] }`.
+ * @param {boolean} [options.coerce=false] - Type values from their inputs: numbers for `number`/`range`,
+ *   booleans for checkboxes without a `value` attribute (unchecked ones become `false`), local Dates for
+ *   `date`/`datetime-local`/`month`. A `data-type="number|boolean|date|json|string"` attribute overrides the input type.
+ * @param {boolean} [options.emptyAsNull=false] - Turn empty strings (and empty file inputs) into `null`.
+ * @returns {Object|string}
+ *
+ * @example
+ * // <input name="address[city]"> <input name="items[0][qty]" type="number"> <input type="checkbox" name="newsletter">
+ * serializeForm(form, { nested: true, coerce: true });
+ * // → { address: { city: "Tunis" }, items: [{ qty: 2 }], newsletter: false }
+ */
+function serializeForm(form, { asJSON = false, nested = false, coerce = false, emptyAsNull = false } = {}) {
+    if (!(form instanceof HTMLFormElement)) {
+        console.error("serializeForm: provided element is not a form.");
+        return asJSON ? '{}' : {};
+    }
+
+    let entries = [...new FormData(form).entries()];
+
+    if (coerce || emptyAsNull) {
+        entries = entries.map(([key, value]) => [key, coerceFieldValue(getFieldElements(form, key)[0], value, { coerce, emptyAsNull })]);
+    }
+    if (coerce) {
+        // Unchecked on/off checkboxes are absent from FormData, but they mean `false`
+        const present = new Set(entries.map(([key]) => key));
+        [...form.elements]
+            .filter(el => el.type === "checkbox" && el.name && !el.disabled && isBooleanCheckbox(el) && !present.has(el.name))
+            .forEach(el => {
+                entries.push([el.name, false]);
+                present.add(el.name);
+            });
+    }
+
+    const serialized = entries.reduce((acc, [key, value]) => {
+        if (nested) {
+            setByPath(acc, parseFieldPath(key), value);
+        } else if (key in acc) {
+            if (!Array.isArray(acc[key])) acc[key] = [acc[key]];
+            acc[key].push(value);
+        } else {
+            acc[key] = value;
+        }
+        return acc;
+    }, {});
+
+    return asJSON ? JSON.stringify(serialized) : serialized;
+}
+
+
+const formSnapshots = new WeakMap();
+
+
+/**
+ * Fill a form from an object, the inverse of {@link serializeForm}.
+ *
+ * Field names are looked up in `data` by their nested path (`address[city]`, `address.city`, `items[0][qty]`,
+ * `tags[]`), or as literal keys. Fields without a value in `data` are left untouched.
+ *
+ * - text-like inputs and textareas get the value as a string (`null` clears them)
+ * - checkbox groups and multi-selects check/select the values listed in an array
+ * - a single checkbox takes a boolean, or is checked when the value equals its own `value`
+ * - radio groups check the matching radio
+ * - `date`, `datetime-local`, `month` and `time` inputs accept Dates or ISO strings
+ * - file inputs cannot be set by scripts and are skipped
+ *
+ * @param {HTMLFormElement} form
+ * @param {Object} data
+ * @param {Object} [options={}]
+ * @param {boolean} [options.snapshot=false] - Remember the populated state for {@link resetForm}.
+ * @param {boolean} [options.dispatchEvents=false] - Fire `input` and `change` on every field that was set.
+ * @returns {{ unmatched: string[] }} Keys of `data` (as bracket names) that no field consumed.
+ *
+ * @example
+ * const [err, article] = await safeFetch(`/api/articles/${id}/`);
+ * const { unmatched } = populateForm(form, article, { snapshot: true });
+ * if (unmatched.length) console.debug("Not in the form:", unmatched);
+ *
+ * cancelBtn.onclick = () => resetForm(form);
+ */
+function populateForm(form, data = {}, { snapshot = false, dispatchEvents = false } = {}) {
+    if (!(form instanceof HTMLFormElement)) {
+        console.error("[populateForm] provided element is not a form.");
+        return { unmatched: [] };
+    }
 
-  for (const [key, value] of Object.entries(extra)) {
-    headers.set(key, value);
-  }
+    const consumed = [];
+    const names = [...new Set([...form.elements].map(el => el.name).filter(Boolean))];
 
-  return headers;
-}
+    names.forEach(name => {
+        let path = parseFieldPath(name);
+        if (path[path.length - 1] === "") path = path.slice(0, -1);
+
+        const value = name in data ? data[name] : getByPath(data, path);
+        if (value === undefined) return;
+        consumed.push(name in data ? [name] : path);
 
+        const elements = getFieldElements(form, name);
+        elements.forEach(el => setElementValue(el, value, elements.length > 1));
+        if (dispatchEvents) {
+            elements.forEach(el => {
+                el.dispatchEvent(new Event("input", { bubbles: true }));
+                el.dispatchEvent(new Event("change", { bubbles: true }));
+            });
+        }
+    });
 
+    if (snapshot) formSnapshots.set(form, captureFormState(form));
 
+    const isConsumed = (leaf) => consumed.some(path => path.every((segment, i) => String(segment) === String(leaf[i])));
+    const unmatched = collectLeafPaths(data)
+        .filter(leaf => !isConsumed(leaf))
+        .map(([head, ...rest]) => head + rest.map(segment => `[${segment}]`).join(""));
 
-/*
-@example
-const params = { search: "query", page: 2 };
-const queryString = buildQuery(params);
-// Result: "search=query&page=2"
-*/
-function buildQuery(params = {}) {
-  return new URLSearchParams(params).toString();
+    return { unmatched };
 }
 
 
+/**
+ * Restore a form to the state captured by `populateForm(form, data, { snapshot: true })`,
+ * or to its HTML defaults when there is no snapshot.
+ *
+ * @param {HTMLFormElement} form
+ * @returns {boolean} `true` if a snapshot was restored.
+ */
+function resetForm(form) {
+    const state = formSnapshots.get(form);
+    if (!state) {
+        form.reset();
+        return false;
+    }
 
+    restoreFormState(state);
+    return true;
+}
 
 
 /**
- * Checks if a Fetch API Response is multipart and whether it contains binary data.
- *
- * @async
- * @function checkMultipartBinary
- * @param {Response} response - A Fetch API Response object to inspect.
- * @returns {Promise<Object>} An object with the following properties:
- *   @property {boolean} isMultipart - True if the response has a multipart Content-Type.
- *   @property {boolean} isBinary - True if the multipart body appears to contain binary data
- *     (any non-text/non-JSON type with nonzero size).
- *   @property {Blob|null} blob - A Blob copy of the response body (if multipart), otherwise null.
+ * Track unsaved changes in a form.
  *
- * @description
- * This function inspects the Content-Type header of a response to determine if it is multipart.
- * If multipart, it clones the response and reads the body as a Blob so that the original response
- * stream remains available for further processing. The blob type is checked to decide whether the
- * content is likely binary (e.g., `application/octet-stream`, images, PDFs).
+ * Records the current values as the clean state, then fires `form:dirty` and `form:clean` events on the
+ * form (with `{ changed }` in `detail`) whenever edits move it away from, or back to, that state.
  *
- * Note: This does **not** parse multipart boundaries or inspect individual parts; it only provides
- * a coarse check on the overall response payload.
+ * @param {HTMLFormElement} form
+ * @param {Object} [options={}]
+ * @param {boolean} [options.guard=false] - Ask for confirmation (`beforeunload`) while the form is dirty.
+ *   The guard is dropped when the form is submitted natively (not prevented), and the form is marked clean
+ *   after an `ajax:success` event (see {@link ajaxSubmit}) or a call to `markClean()`.
+ * @param {boolean} [options.nested=false] - Build nested patches from bracket/dot names (see {@link serializeForm}).
+ * @param {boolean} [options.coerce=false] - Type the patch values (see {@link serializeForm}).
+ * @returns {Object} Tracker with `isDirty`, `changedFields()`, `getPatch()`, `markClean()`, `restore()` and `destroy()`.
  *
  * @example
- * const response = await fetch("/api/download");
- * const result = await checkMultipartBinary(response);
+ * const tracker = trackForm(form, { guard: true, coerce: true });
+ * form.addEventListener("form:dirty", () => saveBtn.disabled = false);
+ * form.addEventListener("form:clean", () => saveBtn.disabled = true);
  *
- * if (result.isMultipart && result.isBinary) {
- *   // Handle binary multipart response
- *   const fileBlob = result.blob;
- *   // e.g., download, preview, or parse
- * } else {
- *   // Handle as normal JSON/text
- *   const data = await response.json();
- * }
+ * saveBtn.onclick = async () => {
+ *   const [err] = await fetchWithCSRF(`/api/articles/${id}/`, { method: "PATCH", body: tracker.getPatch() });
+ *   if (!err) tracker.markClean();
+ * };
  */
-async function checkMultipartBinary(response) {
-    const contentType = response.headers.get("Content-Type");
+function trackForm(form, { guard = false, nested = false, coerce = false } = {}) {
+    if (!(form instanceof HTMLFormElement)) {
+        throw new Error("trackForm expects a form element");
+    }
 
-    if (contentType && contentType.startsWith("multipart/")) {
-        console.log("Response is multipart");
+    const readState = () => {
+        const names = [...new Set([...form.elements].map(el => el.name).filter(Boolean))];
+        return Object.fromEntries(names.map(name => [name, comparableValue(readFieldValue(getFieldElements(form, name)))]));
+    };
 
-        // Clone to avoid consuming the original response body
-        const blob = await response.clone().blob();
+    let initial = readState();
+    let initialElements = captureFormState(form);
+    let dirty = false;
 
-        // More robust binary check
-        const isBinary = !/^text\/|application\/json/.test(blob.type) && blob.size > 0;
+    const onBeforeUnload = (event) => {
+        event.preventDefault();
+        event.returnValue = "";
+    };
+    const setGuard = (on) => {
+        window.removeEventListener("beforeunload", onBeforeUnload);
+        if (on) window.addEventListener("beforeunload", onBeforeUnload);
+    };
 
-        console.log(
-            isBinary
-                ? "Response contains binary data"
-                : "Response is multipart but not binary"
-        );
+    const changedFields = () => {
+        const current = readState();
+        const names = new Set([...Object.keys(initial), ...Object.keys(current)]);
+        return [...names].filter(name => initial[name] !== current[name]);
+    };
 
-        return { isMultipart: true, isBinary, blob };
-    }
+    const update = () => {
+        const changed = changedFields();
+        const isDirty = changed.length > 0;
+        if (isDirty !== dirty) {
+            dirty = isDirty;
+            if (guard) setGuard(dirty);
+            form.dispatchEvent(new CustomEvent(dirty ? "form:dirty" : "form:clean", { detail: { changed } }));
+        }
+    };
 
-    console.log("Response is not multipart");
-    return { isMultipart: false, isBinary: false, blob: null };
-}
+    const onSubmit = (event) => {
+        // Drop the guard now: a native submit may navigate (and fire beforeunload) before any timer runs.
+        // Once the other submit handlers ran, re-arm it if one of them cancelled the submit (AJAX may still fail)
+        setGuard(false);
+        setTimeout(() => {
+            if (event.defaultPrevented && guard && dirty) setGuard(true);
+        });
+    };
 
+    const onReset = () => setTimeout(update); // fields are reset after the event
+    const onAjaxSuccess = () => tracker.markClean();
 
+    form.addEventListener("input", update);
+    form.addEventListener("change", update);
+    form.addEventListener("reset", onReset);
+    form.addEventListener("submit", onSubmit);
+    form.addEventListener("ajax:success", onAjaxSuccess);
 
+    const tracker = {
+        get isDirty() {
+            return dirty;
+        },
 
-function disableForm(form, state = true) {
-    [...form.elements].forEach(el => el.disabled = state);
-}
+        changedFields,
+
+        /**
+         * Only the changed fields, with their current values: the body of a PATCH request.
+         */
+        getPatch() {
+            const typed = serializeForm(form, { coerce });
+            return changedFields().reduce((patch, name) => {
+                const value = name in typed ? typed[name] : readFieldValue(getFieldElements(form, name));
+                if (!nested) {
+                    patch[name] = value;
+                    return patch;
+                }
+                const path = parseFieldPath(name);
+                if (path[path.length - 1] === "" && Array.isArray(value)) path.pop();
+                return setByPath(patch, path, value);
+            }, {});
+        },
 
+        markClean() {
+            initial = readState();
+            initialElements = captureFormState(form);
+            update();
+            setGuard(false);
+        },
 
+        restore() {
+            restoreFormState(initialElements);
+            update();
+        },
 
-function toggleClass(element, className) {
-    try {
-        element.classList.toggle(className);
-    } catch (error) {
-        console.error(error.message);
-    }
-}
+        destroy() {
+            form.removeEventListener("input", update);
+            form.removeEventListener("change", update);
+            form.removeEventListener("reset", onReset);
+            form.removeEventListener("submit", onSubmit);
+            form.removeEventListener("ajax:success", onAjaxSuccess);
+            setGuard(false);
+        },
+    };
 
-function showElement(element) {
-    if (element) el.style.display = '';
-}
-function hideElement(element) {
-    if (element) el.style.display = 'none';
+    return tracker;
 }
 
 
-async function copyElementText(element) {
-    if (!element) {
-        console.error(`[copyElementText] Element not found.`);
-        return false;
-    }
+const DRAFT_PREFIX = "form-draft:";
 
-    const text = element.textContent || element.innerText;
-    if (!text) {
-        console.error(`[copyElementText] Element has no text content to copy.`);
-        return false;
-    }
 
-    try {
-        await navigator.clipboard.writeText(text);
-        return true;
-    } catch (err) {
-        console.error('Failed to copy text: ', err);
-        return false;
+/**
+ * Autosave a form's values as a draft in storage, and bring them back after a reload or a closed tab.
+ *
+ * Drafts are saved (debounced) on every edit under a key scoped to the page URL and the form, and
+ * restored when autosave starts. Passwords, file inputs, the CSRF token and fields marked
+ * `data-autosave="off"` are never stored. Drafts older than `ttl` are discarded, and the draft is
+ * cleared after a successful `submit()`, an `ajax:success` event (see {@link ajaxSubmit}) or a
+ * native (non-prevented) form submission.
+ *
+ * @param {HTMLFormElement} form
+ * @param {Object} [options={}]
+ * @param {string} [options.key] - Storage key; defaults to `form-draft:<path?query>:<form id or name or index>`,
+ *   the query sorted and without tracking params, so `/edit?id=5` and `/edit?id=6` keep separate drafts.
+ * @param {number} [options.delay=1000] - Debounce delay in ms between edits and saves.
+ * @param {number} [options.ttl=604800000] - Draft lifetime in ms (7 days).
+ * @param {boolean} [options.useSession=false] - Keep drafts in sessionStorage instead of localStorage.
+ * @param {string[]} [options.exclude=[]] - More field names never to store.
+ * @param {Function} [options.confirmRestore] - `(draft) => boolean | Promise<boolean>` asked before restoring
+ *   `{ data, savedAt }`; returning false discards the draft. Without it drafts are restored silently.
+ * @param {Function} [options.onSave] - Called with the saved draft.
+ * @returns {Object} Controller with `save()`, `restore()`, `clear()`, `hasDraft()`, `submit()` and `destroy()`;
+ *   its `ready` promise resolves (to whether a draft was restored) once the initial restore is done,
+ *   and to `false` when `confirmRestore` throws.
+ *
+ * @example
+ * const drafts = autosaveForm(form, {
+ *   confirmRestore: ({ savedAt }) => confirm(`Restore your draft from ${new Date(savedAt).toLocaleString()}?`),
+ *   onSave: () => status.textContent = "Draft saved",
+ * });
+ *
+ * form.addEventListener("submit", async (e) => {
+ *   e.preventDefault();
+ *   const [err] = await drafts.submit(form.action); // clears the draft on success
+ * });
+ */
+function autosaveForm(form, {
+    key = null,
+    delay = 1000,
+    ttl = 7 * 24 * 60 * 60 * 1000,
+    useSession = false,
+    exclude = [],
+    confirmRestore = null,
+    onSave = null,
+} = {}) {
+    if (!(form instanceof HTMLFormElement)) {
+        throw new Error("autosaveForm expects a form element");
     }
-}
 
+    const formId = form.id || form.getAttribute("name") || [...document.forms].indexOf(form);
+    const page = new URL(normalizeURL(window.location.href) ?? window.location.href);
+    const storageKey = key || `${DRAFT_PREFIX}${page.pathname}${page.search}:${formId}`;
 
+    purgeExpiredDrafts(useSession);
 
-function debounce(func, wait, options = {}) {
-    const { immediate = false, maxWait } = options;
-    let timeoutId, lastCallTime, result;
+    const isSensitive = (el) => ["password", "file"].includes(el.type)
+        || el.name === "csrfmiddlewaretoken"
+        || el.dataset.autosave === "off"
+        || exclude.includes(el.name);
 
-    const later = (context, args) => {
-        const timeSinceLastCall = Date.now() - lastCallTime;
+    const save = () => {
+        const skipped = new Set([...form.elements].filter(isSensitive).map(el => el.name));
+        const data = Object.fromEntries(Object.entries(serializeForm(form)).filter(([name]) => !skipped.has(name)));
+        // Unchecked boxes are missing from the serialized form; remember them so a restore unchecks them
+        [...form.elements]
+            .filter(el => el.type === "checkbox" && el.name && !skipped.has(el.name) && !(el.name in data))
+            .forEach(el => data[el.name] = false);
+        const draft = { data, savedAt: Date.now(), expires: Date.now() + ttl };
 
-        if (maxWait && timeSinceLastCall < maxWait) {
-            timeoutId = setTimeout(() => later(context, args), wait);
-        } else {
-            timeoutId = null;
-            if (!immediate) result = func.apply(context, args);
-        }
+        if (StorageHelpers.set(storageKey, draft, useSession)) onSave?.(draft);
+        return draft;
+    };
+    // Own timer instead of debounce(): clear() and destroy() must be able to cancel a pending save,
+    // or a save queued just before a successful submit would write the sent draft back
+    let saveTimer = null;
+    const cancelPendingSave = () => {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+    };
+    const debouncedSave = () => {
+        cancelPendingSave();
+        saveTimer = setTimeout(() => {
+            saveTimer = null;
+            save();
+        }, delay);
     };
 
-    return function debounced(...args) {
-        const context = this;
-        const callNow = immediate && !timeoutId;
+    const clear = () => {
+        cancelPendingSave();
+        return StorageHelpers.remove(storageKey, useSession);
+    };
 
-        clearTimeout(timeoutId);
-        lastCallTime = Date.now();
+    const readDraft = () => {
+        const draft = StorageHelpers.get(storageKey, null, useSession);
+        if (draft && draft.expires > Date.now()) return draft;
+        if (draft) clear();
+        return null;
+    };
 
-        if (callNow) {
-            result = func.apply(context, args);
-        } else if (!timeoutId && maxWait) {
-            timeoutId = setTimeout(() => later(context, args), wait);
-        } else {
-            timeoutId = setTimeout(() => later(context, args), wait);
+    async function restore() {
+        const draft = readDraft();
+        if (!draft) return false;
+
+        if (confirmRestore && !(await confirmRestore(draft))) {
+            clear();
+            return false;
         }
+        populateForm(form, draft.data, { dispatchEvents: true });
+        return true;
+    }
 
-        return result;
+    const onSubmit = (event) => {
+        setTimeout(() => {
+            if (!event.defaultPrevented) clear();
+        });
     };
-}
 
+    form.addEventListener("input", debouncedSave);
+    form.addEventListener("change", debouncedSave);
+    form.addEventListener("submit", onSubmit);
+    form.addEventListener("ajax:success", clear);
 
-function domIsReady() {
-    return document.readyState === 'complete' || document.readyState === 'interactive';
-}
+    const ready = restore().catch(e => {
+        console.warn("[autosaveForm] Could not restore the draft", e);
+        return false;
+    });
 
+    return {
+        ready,
+        save,
+        restore,
+        clear,
 
-function shareLinkSocialMedia(platform, url, text = '', hashtags = '') {
-    let shareUrl = '';
-    switch (platform) {
-        case 'facebook':
-            shareUrl = `https://www.facebook.com/sharer/sharer.php?u=${encodeURIComponent(url)}&quote=${encodeURIComponent(text)}`;
-            break;
-        case 'twitter':
-            shareUrl = `https://twitter.com/intent/tweet?url=${encodeURIComponent(url)}&text=${encodeURIComponent(text)}&hashtags=${encodeURIComponent(hashtags)}`;
-            break;
-        case 'linkedin':
-            shareUrl = `https://www.linkedin.com/sharing/share-offsite/?url=${encodeURIComponent(url)}`;
-            break;
-        case 'whatsapp':
-            shareUrl = `https://api.whatsapp.com/send?text=${encodeURIComponent(text)}%20${encodeURIComponent(url)}`;
-            break;
-        case 'telegram':
-            shareUrl = `https://t.me/share/url?url=${encodeURIComponent(url)}&text=${encodeURIComponent(text)}`;
-            break;
-        case 'reddit':
-            shareUrl = `https://www.reddit.com/submit?url=${encodeURIComponent(url)}&title=${encodeURIComponent(text)}`;
-            break;
-        case 'pinterest':
-            shareUrl = `https://pinterest.com/pin/create/button/?url=${encodeURIComponent(url)}&description=${encodeURIComponent(text)}`;
-            break;
-        case 'email':
-            shareUrl = `mailto:?subject=${encodeURIComponent(text)}&body=${encodeURIComponent(url)}`;
-            break;
-        default:
-            console.error('Unsupported social media platform:', platform);
-            return;
-    }
-    // Open the share URL in a new window
-    window.open(shareUrl, '_blank', 'width=600,height=400');
-}
+        hasDraft() {
+            return readDraft() !== null;
+        },
 
+        /**
+         * Send the form through fetchWithCSRF and drop the draft when the server accepts it.
+         */
+        async submit(url = form.action, options = {}, config = {}) {
+            const [err, data] = await fetchWithCSRF(url, {
+                method: form.method && form.method.toLowerCase() !== "get" ? form.method.toUpperCase() : "POST",
+                body: formParser(form, false),
+                ...options,
+            }, config);
+            if (!err) clear();
+            return [err, data];
+        },
 
-function waitForDomReady() {
-    return new Promise(resolve => {
-        if (domIsReady()) {
-            resolve();
-        }
-        else {
-            document.addEventListener('DOMContentLoaded', resolve);
-        }
-    });
+        destroy() {
+            cancelPendingSave();
+            form.removeEventListener("input", debouncedSave);
+            form.removeEventListener("change", debouncedSave);
+            form.removeEventListener("submit", onSubmit);
+            form.removeEventListener("ajax:success", clear);
+        },
+    };
 }
 
-function setElementLocked(el, isDisabled = true) {
-    if (!el) {
-        console.warn("[setElementLocked] Target element not found.");
-        return null; // return null to signal no action
-    }
-
-    const isAlreadyDisabled = el.hasAttribute("disabled");
 
-    if (isDisabled) {
-        if (isAlreadyDisabled) return true; // ! already locked
-        el.setAttribute("disabled", "true");
-        el.classList.add("is-locked");
-        return false; // ! just locked now
-    } else {
-        el.removeAttribute("disabled");
-        el.classList.remove("is-locked");
-        return true; //  * just unlocked now
+/**
+ * Submit a form over AJAX: validate, serialize, lock, send with CSRF, then unlock and report.
+ *
+ * On every submit the controller:
+ * 1. ignores the submit while a previous one is still being validated or in flight (no double submits)
+ * 2. validates with `options.validator` (see {@link createValidator}) or the browser's constraint validation
+ * 3. dispatches a cancelable `ajax:before` event (`detail: { url, method, body }`)
+ * 4. locks the submit button ({@link setElementLocked}) and disables the other fields
+ * 5. sends the {@link formParser} payload through {@link fetchWithCSRF} (GET forms: as a query string, file fields skipped)
+ * 6. on success dispatches `ajax:success` (`detail: { data }`), calls `onSuccess` and follows a redirect if any
+ * 7. on failure shows 400/422 validation errors with {@link applyServerErrors}, dispatches `ajax:error`
+ *    (`detail: { error }`) and calls `onError`
+ * 8. unlocks the form (unless redirecting) and dispatches `ajax:complete` (`detail: { error, data }`)
+ *
+ * Events bubble, so they can be handled on `document` for every form at once. A validator that rejects
+ * or an `onSuccess`/`onError` that throws is reported through `ajax:error` as well.
+ *
+ * @param {HTMLFormElement} form
+ * @param {Object} [options={}]
+ * @param {string} [options.url=form.action] - Target URL.
+ * @param {string} [options.method] - HTTP method; defaults to the form's `method` (POST when it is GET-less).
+ * @param {Object} [options.validator] - A {@link createValidator} instance to run before sending.
+ * @param {Object} [options.parser={}] - formParser options (`nested`, `coerce`, `emptyAsNull`, `arrayFormat`).
+ * @param {Object} [options.config={}] - safeFetch config (`timeout`, `retry`, ...).
+ * @param {boolean} [options.showErrors=true] - Display server validation errors on the fields.
+ * @param {boolean|string|Function} [options.redirect=true] - `true` follows `redirect`/`redirect_url`/`location`
+ *   from the response data, a string is a fixed URL, a function `(data) => url` decides; `false` never redirects.
+ * @param {boolean} [options.resetOnSuccess=false] - Reset the form after a successful submit.
+ * @param {Function} [options.onSuccess] - `(data, form)`.
+ * @param {Function} [options.onError] - `(error, form)`.
+ * @returns {Object} Controller with `submit()`, `destroy()` and a read-only `submitting`.
+ *
+ * @example
+ * ajaxSubmit(document.querySelector("#ticket-form"), {
+ *   validator: createValidator(form, { subject: { required: true } }),
+ *   onSuccess: (ticket) => toast(`Ticket #${ticket.id} created`),
+ *   resetOnSuccess: true,
+ * });
+ *
+ * document.addEventListener("ajax:error", (e) => console.warn(e.target.id, e.detail.error));
+ */
+function ajaxSubmit(form, {
+    url = null,
+    method = null,
+    validator = null,
+    parser = {},
+    config = {},
+    showErrors = true,
+    redirect = true,
+    resetOnSuccess = false,
+    onSuccess = null,
+    onError = null,
+} = {}) {
+    if (!(form instanceof HTMLFormElement)) {
+        throw new Error("ajaxSubmit expects a form element");
     }
-}
 
+    let submitting = false;
+    let controller = null;
 
+    if (!validator) formValidate(form);
 
-function setCurrentDateTime(el, format = 'YYYY-MM-DD HH:mm:ss', mode = 'text') {
-    if (!el) {
-        console.warn("[setCurrentDateTime] Target element not found.");
+    const emit = (type, detail, cancelable = false) =>
+        form.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, cancelable }));
+
+    const resolveRedirect = (data) => {
+        if (typeof redirect === "function") return redirect(data);
+        if (typeof redirect === "string") return redirect;
+        if (redirect === true && isPlainObject(data)) return data.redirect || data.redirect_url || data.location || null;
         return null;
+    };
+
+    const reportError = (error) => {
+        console.warn("[ajaxSubmit] Submit failed", error);
+        emit("ajax:error", { error });
+    };
+
+    const runCallback = (callback, ...args) => {
+        try {
+            callback?.(...args);
+        } catch (error) {
+            reportError(error);
+        }
+    };
+
+    async function passesValidation() {
+        if (validator) {
+            const { valid } = await validator.validate();
+            if (!valid) focusFirstInvalid(form);
+            return valid;
+        }
+        if (form.checkValidity()) return true;
+        form.classList.add("was-validated");
+        form.reportValidity?.();
+        return false;
     }
 
-    const now = new Date();
+    async function submit(submitter = null) {
+        if (submitting) return [null, null];
+        // Taken before validating: an async validator would otherwise leave room for a second submit
+        submitting = true;
 
-    // Lightweight formatter
-    const pad = (n) => String(n).padStart(2, '0');
-    const formattedDate = format
-        .replace('YYYY', now.getFullYear())
-        .replace('MM', pad(now.getMonth() + 1))
-        .replace('DD', pad(now.getDate()))
-        .replace('HH', pad(now.getHours()))
-        .replace('mm', pad(now.getMinutes()))
-        .replace('ss', pad(now.getSeconds()));
+        let formMethod, target, body;
+        try {
+            if (!(await passesValidation())) {
+                submitting = false;
+                return [null, null];
+            }
+            formMethod = (method || form.getAttribute("method") || "POST").toUpperCase();
+            target = url || form.action;
+            body = formParser(form, false, parser);
+        } catch (error) {
+            submitting = false;
+            reportError(error);
+            return [error, null];
+        }
 
-    const isoString = now.toISOString();
-    const readable = now.toLocaleString('en-US', {
-        year: 'numeric',
-        month: 'short',
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit',
-        second: '2-digit',
-        hour12: false
-    });
+        if (!emit("ajax:before", { url: target, method: formMethod, body }, true)) {
+            submitting = false;
+            return [null, null];
+        }
 
-    // Apply mode safely
-    switch (mode) {
-        case 'text':
-            el.textContent = formattedDate;
-            break;
-        case 'value':
-            if ('value' in el) el.value = formattedDate;
-            else console.warn('[setCurrentDateTime] Element does not support value property.');
-            break;
-        case 'both':
-            el.textContent = formattedDate;
-            if ('value' in el) el.value = formattedDate;
-            break;
-        default:
-            console.warn(`[setCurrentDateTime] Unknown mode "${mode}", defaulting to text.`);
-            el.textContent = formattedDate;
+        controller = new AbortController();
+
+        const buttons = submitter ? [submitter] : [...form.querySelectorAll('[type="submit"]')];
+        const lockedButtons = buttons.filter(button => setElementLocked(button, true) === false);
+        const disabledFields = [...form.elements].filter(el => !el.disabled && !buttons.includes(el));
+        disabledFields.forEach(el => el.disabled = true);
+
+        let err = null;
+        let data = null;
+        let redirectTo = null;
+        try {
+            const options = { method: formMethod, signal: controller.signal };
+            if (formMethod === "GET") {
+                const entries = (body instanceof FormData ? [...body.entries()] : flattenToEntries(body)).filter(([name, value]) => {
+                    if (!(value instanceof Blob)) return true;
+                    // Empty file inputs are dropped silently, chosen files with a warning
+                    if (value.size || value.name) {
+                        console.warn(`[ajaxSubmit] File field "${name}" cannot be sent in a GET query; skipping it.`);
+                    }
+                    return false;
+                });
+                const query = new URLSearchParams(entries).toString();
+                [err, data] = await safeFetch(query ? `${target.split("?")[0]}?${query}` : target, options, config);
+            } else {
+                [err, data] = await fetchWithCSRF(target, { ...options, body }, config);
+            }
+
+            if (err) {
+                if (showErrors && (err.status === 400 || err.status === 422)) applyServerErrors(form, err);
+                emit("ajax:error", { error: err });
+                runCallback(onError, err, form);
+            } else {
+                serverErrorFields.get(form)?.forEach(name => clearFieldFeedback(form, name));
+                emit("ajax:success", { data });
+                runCallback(onSuccess, data, form);
+                if (resetOnSuccess) form.reset();
+                redirectTo = resolveRedirect(data);
+            }
+        } finally {
+            submitting = false;
+            controller = null;
+            if (!redirectTo) {
+                disabledFields.forEach(el => el.disabled = false);
+                lockedButtons.forEach(button => setElementLocked(button, false));
+            }
+            emit("ajax:complete", { error: err, data });
+        }
+
+        if (redirectTo) window.location.assign(redirectTo);
+        return [err, data];
     }
 
-    // Set attributes for semantic info
-    el.setAttribute('datetime', isoString);
-    el.setAttribute('data-format', format);
-    el.setAttribute('title', readable);
-    el.classList.add('current-datetime');
+    const onSubmit = (event) => {
+        event.preventDefault();
+        submit(event.submitter || null).catch(reportError);
+    };
+    form.addEventListener("submit", onSubmit);
 
-    return formattedDate;
-}
+    return {
+        submit,
 
+        get submitting() {
+            return submitting;
+        },
 
+        destroy() {
+            form.removeEventListener("submit", onSubmit);
+            controller?.abort();
+        },
+    };
+}
 
-function formValidate(form) {
-    if (!form || !(form instanceof HTMLFormElement)) {
-        console.error('Invalid form element provided for validation.');
-        return false;
-    }
-    const inputs = form.querySelectorAll('input, select, textarea');
 
-    function validateGenericInput(input) {
-        if (input.checkValidity()) {
-            input.classList.remove('is-invalid');
-            input.classList.add('is-valid');
-        } else {
-            input.classList.remove('is-valid');
-            input.classList.add('is-invalid');
-        }
+/**
+ * Drop every expired draft left behind by autosaveForm (other pages included).
+ */
+function purgeExpiredDrafts(useSession = false) {
+    try {
+        StorageHelpers.keys(useSession)
+            .filter(key => key.startsWith(DRAFT_PREFIX))
+            .forEach(key => {
+                const draft = StorageHelpers.get(key, null, useSession);
+                if (!draft || !(draft.expires > Date.now())) StorageHelpers.remove(key, useSession);
+            });
+    } catch (e) {
+        console.warn("[autosaveForm] Could not purge expired drafts", e);
     }
+}
 
-    inputs.forEach(input => {
-        input.addEventListener('input', function () {
-            validateGenericInput(input);
-        });
-        input.addEventListener('blur', function () {
-            input.dispatchEvent(new Event('input'));
-        });
-    });
+
+/**
+ * A string stand-in for a field value so values can be compared with `===` (Files by name, size and mtime).
+ */
+function comparableValue(value) {
+    return JSON.stringify(value, (key, item) =>
+        item instanceof File ? `file:${item.name}:${item.size}:${item.lastModified}` : item
+    );
 }
 
 
-function passwordStrengthRegex(password, regex) {
-    /** can be used along css classes */
-    if (!password || typeof password !== 'string') {
-        console.error('Invalid password provided for strength validation.');
-        return false;
-    }
-    if (!regex || !(regex instanceof RegExp)) {
-        regex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,}$/; // Default regex for strong password
-    }
+function restoreFormState(state) {
+    state.forEach(({ el, value, checked, selected }) => {
+        if (selected) [...el.options].forEach((option, i) => option.selected = selected[i]);
+        else if (checked !== undefined) el.checked = checked;
+        else el.value = value;
+    });
+}
 
-    return regex.test(password);
+
+function captureFormState(form) {
+    return [...form.elements]
+        .filter(el => el.name && el.type !== "file")
+        .map(el => {
+            if (el.options) return { el, selected: [...el.options].map(option => option.selected) };
+            if (el.type === "checkbox" || el.type === "radio") return { el, checked: el.checked };
+            return { el, value: el.value };
+        });
 }
 
 
-function togglePasswordVisibility(inputEl, togglerEl) {
+function setElementValue(el, value, isGroup) {
+    const values = [].concat(value ?? []).map(String);
 
-    if (!inputEl || !toggleButtonEl) {
-        console.error('[togglePasswordVisibility] Target elements not found.');
-        return;
+    switch (el.type) {
+        case "file":
+            return;
+        case "checkbox":
+            if (!isGroup && typeof value === "boolean") el.checked = value;
+            else el.checked = values.includes(el.value);
+            return;
+        case "radio":
+            el.checked = value !== null && String(value) === el.value;
+            return;
+        case "select-multiple":
+            [...el.options].forEach(option => option.selected = values.includes(option.value));
+            return;
+        case "date":
+        case "datetime-local":
+        case "month":
+        case "time":
+            el.value = formatInputDate(value, el.type);
+            return;
+        default:
+            el.value = value === null ? "" : String(value);
     }
-
-    togglerEl.addEventListener('click', function () {
-        if (inputEl.type === 'password') {
-            inputEl.type = 'text';
-            togglerEl.innerHTML = "<i class='fa fa-eye'></i>";
-        } else {
-            inputEl.type = 'password';
-            togglerEl.innerHTML = "<i class='fa fa-eye-slash'></i>";
-        }
-    });
 }
 
 
-function nowTimestamp({ includeDate = false, format = null } = {}) {
-    const now = new Date();
-    const pad = (n) => String(n).padStart(2, '0');
+/**
+ * Format a Date or ISO string for a date-like input, in local time for Dates.
+ */
+function formatInputDate(value, type) {
+    if (value === null || value === "") return "";
+
+    const lengths = { date: 10, "datetime-local": 16, month: 7 };
+    if (!(value instanceof Date)) {
+        const text = String(value);
+        if (type === "time") return text.slice(0, 5);
+        return /^\d{4}-\d{2}/.test(text) ? text.slice(0, lengths[type]) : text;
+    }
 
-    if (format) {
-        return format
-            .replace('YYYY', now.getFullYear())
-            .replace('MM', pad(now.getMonth() + 1))
-            .replace('DD', pad(now.getDate()))
-            .replace('HH', pad(now.getHours()))
-            .replace('mm', pad(now.getMinutes()))
-            .replace('ss', pad(now.getSeconds()));
+    const pad = (n) => String(n).padStart(2, '0');
+    const date = `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    const time = `${pad(value.getHours())}:${pad(value.getMinutes())}`;
+
+    switch (type) {
+        case "month": return date.slice(0, 7);
+        case "time": return time;
+        case "datetime-local": return `${date}T${time}`;
+        default: return date;
     }
+}
 
-    // Default behavior
-    const time = `${pad(now.getHours())}:${pad(now.getMinutes())}`;
-    if (!includeDate) return time;
 
-    const date = `${pad(now.getDate())}/${pad(now.getMonth() + 1)}/${now.getFullYear()}`;
-    return `${date} ${time}`;
+function getByPath(target, path) {
+    return path.reduce((node, segment) => (node === null || node === undefined ? undefined : node[segment]), target);
 }
 
 
+/**
+ * Paths to the leaves of a nested object; arrays of plain values count as one leaf.
+ */
+function collectLeafPaths(value, path = []) {
+    const isBranch = (item) => item !== null && typeof item === "object" && !(item instanceof Date) && !(item instanceof Blob);
 
-function validateInputRegex(inputEl, regex) {
-    if (!inputEl || !(inputEl instanceof HTMLInputElement)) {
-        console.error('Invalid input element provided for regex validation.');
-        return false;
+    if (Array.isArray(value) && value.some(isBranch)) {
+        return value.flatMap((item, index) => collectLeafPaths(item, [...path, index]));
     }
-    if (!regex || !(regex instanceof RegExp)) {
-        console.error('Invalid regex provided for validation.');
-        return false;
+    if (isBranch(value) && !Array.isArray(value)) {
+        return Object.entries(value).flatMap(([key, item]) => collectLeafPaths(item, [...path, key]));
     }
-
-    inputEl.addEventListener('input', function () {
-        if (regex.test(inputEl.value)) {
-            inputEl.classList.remove('is-invalid');
-            inputEl.classList.add('is-valid');
-        } else {
-            inputEl.classList.remove('is-valid');
-            inputEl.classList.add('is-invalid');
-        }
-    });
-    inputEl.addEventListener('blur', function () {
-        inputEl.dispatchEvent(new Event('input'));
-    });
+    return path.length ? [path] : [];
 }
 
-function getCookie(name) {
-    if (!document.cookie) return null;
 
-    return document.cookie
-        .split(';')
-        .map(c => c.trim())
-        .find(c => c.startsWith(`${name}=`))
-        ?.split('=')[1]
-        ?.replace(/^"+|"+$/g, '')
-        ?? null;
+function isBooleanCheckbox(el) {
+    return el.dataset.type === "boolean" || (!el.dataset.type && !el.hasAttribute("value"));
 }
 
 
-const getCSRFToken = (() => {
-    let cachedToken = null;
-
-    return () => {
-        // Return cached value if available
-        if (cachedToken) return cachedToken;
+function coerceFieldValue(el, value, { coerce = false, emptyAsNull = false } = {}) {
+    if (value instanceof Blob) {
+        return emptyAsNull && value instanceof File && !value.name && !value.size ? null : value;
+    }
 
-        // 1. Look for hidden input
-        const input = document.querySelector('input[name="csrfmiddlewaretoken"]');
-        if (input && input.value) {
-            cachedToken = input.value;
-            return cachedToken;
+    if (coerce && el) {
+        const type = el.dataset.type || el.type;
+        if (el.type === "checkbox" && isBooleanCheckbox(el)) return true;
+
+        switch (type) {
+            case "number":
+            case "range":
+                return value === "" ? null : Number(value);
+            case "boolean":
+                return ["true", "on", "1", "yes"].includes(String(value).toLowerCase());
+            case "date":
+            case "datetime-local":
+            case "month":
+                // Local dates, like toDate(): new Date("2024-03-05") is UTC midnight, the previous day west of Greenwich
+                if (value === "") return null;
+                return toDate(type === "month" ? `${value}-01` : value);
+            case "json":
+                try {
+                    return JSON.parse(value);
+                } catch {
+                    return value;
+                }
         }
+    }
 
-        // 2. Look for <meta name="csrf-token" content="...">
-        const meta = document.querySelector('meta[name="csrf-token"]');
-        if (meta && meta.content) {
-            cachedToken = meta.content;
-            return cachedToken;
-        }
+    return emptyAsNull && value === "" ? null : value;
+}
 
-        // 3. Look for CSRF cookie (if not HttpOnly)
-        const cookieToken = getCookie('csrftoken');
-        if (cookieToken) {
-            cachedToken = cookieToken;
-            return cachedToken;
-        }
-        else {
-            console.warn('[CSRF] Token not found in DOM input, meta, or cookies.');
-            return null;
-        }
 
-    };
-})();
+/**
+ * Split a field name into path segments:
+ * `items[0][qty]` → ["items", 0, "qty"], `address.city` → ["address", "city"], `tags[]` → ["tags", ""].
+ * An empty segment means "append".
+ */
+function parseFieldPath(name) {
+    const head = String(name).match(/^[^[.]+/);
+    if (!head) return [name];
+
+    const path = [head[0]];
+    const rest = String(name).slice(head[0].length);
+    const segment = /\[([^\]]*)\]|\.([^[.]+)/gy;
+    let match;
+    while ((match = segment.exec(rest))) {
+        const key = match[1] ?? match[2];
+        path.push(/^\d+$/.test(key) ? Number(key) : key);
+        if (segment.lastIndex === rest.length) return path;
+    }
+    return rest ? [name] : path; // not a well-formed path, keep the name as-is
+}
 
 
+/**
+ * Assign `value` at `path` inside `target`, creating objects (or arrays for numeric/append segments).
+ * Assigning twice to the same leaf collects the values into an array, like repeated form names.
+ */
+function setByPath(target, path, value) {
+    // Never let a field or query name reach Object.prototype
+    if (path.some(segment => segment === "__proto__" || segment === "constructor" || segment === "prototype")) return target;
 
-async function fetchWithCSRF(url, options = {}) {
-    const csrfToken = getCSRFToken();
-    const headers = {
-        "X-CSRFToken": csrfToken,
-        ...(options.headers || {}),
-    };
+    let node = target;
 
-    return safeFetch(
-        url,
-        {
-            ...options,
-            headers,
-            method: options.method || "POST",
-        },
-        { autoJSON: true }
-    );
+    path.forEach((segment, index) => {
+        const key = segment === "" ? (Array.isArray(node) ? node.length : Object.keys(node).length) : segment;
+
+        if (index === path.length - 1) {
+            if (segment !== "" && key in node) node[key] = [].concat(node[key], value);
+            else node[key] = value;
+            return;
+        }
+
+        const next = path[index + 1];
+        if (node[key] === null || typeof node[key] !== "object" || node[key] instanceof Blob || node[key] instanceof Date) {
+            node[key] = typeof next === "number" || next === "" ? [] : {};
+        }
+        node = node[key];
+    });
+
+    return target;
 }
 
 
-function serializeForm(form, { asJSON = false } = {}) {
-    if (!(form instanceof HTMLFormElement)) {
-        console.error("serializeForm: provided element is not a form.");
-        return asJSON ? '{}' : {};
-    }
+/**
+ * Flatten a nested object into `[key, value]` pairs with bracket notation, for FormData and query strings.
+ * Arrays of plain values (and files) follow `arrayFormat`: "repeat" (`tags`), "brackets" (`tags[]`),
+ * "indices" (`tags[0]`) or "comma" (`tags=a,b`); arrays of objects always use indices.
+ * `undefined` is skipped, `null` becomes "", Dates become ISO strings and Blobs/Files are kept.
+ */
+function flattenToEntries(value, { arrayFormat = "repeat", prefix = "" } = {}) {
+    const entries = [];
+    const isLeaf = (item) => item === null || typeof item !== "object" || item instanceof Blob || item instanceof Date;
+    const leafValue = (item) => item === null ? "" : item instanceof Date ? item.toISOString() : item instanceof Blob ? item : String(item);
+
+    const walk = (item, key) => {
+        if (item === undefined) return;
+        if (isLeaf(item)) {
+            entries.push([key, leafValue(item)]);
+            return;
+        }
 
-    const serialized = [...new FormData(form).entries()].reduce((acc, [key, value]) => {
-        if (key in acc) {
-            if (!Array.isArray(acc[key])) acc[key] = [acc[key]];
-            acc[key].push(value);
-        } else {
-            acc[key] = value;
+        const list = typeof FileList !== "undefined" && item instanceof FileList ? [...item] : item;
+        if (Array.isArray(list)) {
+            if (arrayFormat === "comma" && list.every(entry => isLeaf(entry) && !(entry instanceof Blob))) {
+                entries.push([key, list.filter(entry => entry !== undefined).map(leafValue).join(",")]);
+                return;
+            }
+            list.forEach((entry, index) => {
+                if (!isLeaf(entry) || arrayFormat === "indices") walk(entry, `${key}[${index}]`);
+                else walk(entry, arrayFormat === "brackets" ? `${key}[]` : key);
+            });
+            return;
         }
-        return acc;
-    }, {});
 
-    return asJSON ? JSON.stringify(serialized) : serialized;
+        Object.entries(list).forEach(([childKey, child]) => walk(child, key ? `${key}[${childKey}]` : childKey));
+    };
+
+    walk(value, prefix);
+    return entries;
 }
 
 const URLHelpers = {
@@ -939,38 +5016,289 @@ const URLHelpers = {
         return urlParams.get(param);
     },
 
-    setQueryParam(param, value) {
+    /**
+     * Set (or remove, with `null`/`undefined`) one query param. The hash is kept.
+     * Pass `{ replace: true }` to update the current history entry instead of adding one.
+     */
+    setQueryParam(param, value, { replace = false } = {}) {
+        URLHelpers.setQueryParams({ [param]: value }, { replace });
+    },
+
+    /**
+     * Set several query params in a single history entry. Arrays become repeated params (`?tag=a&tag=b`).
+     */
+    setQueryParams(params, { replace = false } = {}) {
         const urlParams = new URLSearchParams(window.location.search);
-        if (value === null || value === undefined) {
+        Object.entries(params).forEach(([param, value]) => {
             urlParams.delete(param);
-        } else {
-            urlParams.set(param, value);
-        }
-        const newUrl = `${window.location.pathname}?${urlParams.toString()}`;
-        window.history.pushState({}, '', newUrl);
+            if (value === null || value === undefined) return;
+            (Array.isArray(value) ? value : [value]).forEach(item => urlParams.append(param, item));
+        });
+        navigateToQuery(urlParams, { replace });
     },
 
-    removeQueryParam(param) {
+    removeQueryParam(param, { replace = false } = {}) {
         const urlParams = new URLSearchParams(window.location.search);
         urlParams.delete(param);
-        const newUrl = `${window.location.pathname}?${urlParams.toString()}`;
-        window.history.pushState({}, '', newUrl);
+        navigateToQuery(urlParams, { replace });
     },
 
-    getCurrentUrl() {
-        return window.location.href;
-    },
+    getCurrentUrl() {
+        return window.location.href;
+    },
+
+    setCurrentUrl(url) {
+        if (url) {
+            window.history.pushState({}, '', url);
+        } else {
+            console.warn('Invalid URL provided to setCurrentUrl.');
+        }
+    }
+};
+
+
+
+
+/**
+ * Write `params` as the query string of the current URL (keeping path and hash) through the History API.
+ * Returns `false` when the URL is unchanged and no history entry was needed.
+ */
+function navigateToQuery(params, { replace = false } = {}) {
+    const query = params.toString();
+    const newUrl = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    if (newUrl === `${window.location.pathname}${window.location.search}${window.location.hash}`) return false;
+
+    if (replace) {
+        window.history.replaceState(window.history.state, '', newUrl);
+    } else {
+        window.history.pushState({}, '', newUrl);
+    }
+    return true;
+}
+
+
+/**
+ * Bind a typed schema to the query string: read typed values, write them back, follow back/forward.
+ *
+ * Field types: `"string"`, `"number"`, `"boolean"`, `"date"` (`YYYY-MM-DD`), `"datetime"` (ISO),
+ * `"array"` (repeated params, items typed by `of`), or a custom `{ parse, serialize }` pair.
+ * A field is a type name or `{ type, default, param, of }`; `param` renames it in the URL.
+ * Values equal to their default are left out of the URL, unparsable values fall back to the default,
+ * and params outside the schema are kept untouched.
+ *
+ * Every `set()` made in the same tick is merged into one history entry (pushed, unless every call asked
+ * to replace). Subscribers are notified after each update and on back/forward navigation.
+ *
+ * @param {Object<string, string|Object>} schema
+ * @param {Object} [options={}]
+ * @param {boolean} [options.replace=false] - Default history mode of `set()`.
+ * @returns {{ get: Function, set: Function, reset: Function, subscribe: Function, toString: Function, destroy: Function }}
+ *
+ * @example
+ * const filters = createQueryState({
+ *   q: "string",
+ *   page: { type: "number", default: 1 },
+ *   sort: { type: "string", default: "-created" },
+ *   tags: { type: "array", of: "string" },
+ *   inStock: { type: "boolean", default: false, param: "in_stock" },
+ *   from: "date",
+ * });
+ *
+ * filters.subscribe((state, { changed }) => loadProducts(state));
+ * filters.set({ tags: ["red", "xl"], page: 1 });  // ?tags=red&tags=xl
+ * filters.set({ page: 3 }, { replace: true });
+ * filters.get("page"); // → 3
+ */
+function createQueryState(schema, { replace: defaultReplace = false } = {}) {
+    const fields = Object.fromEntries(Object.entries(schema).map(([key, field]) => {
+        const config = typeof field === "string" || typeof field?.parse === "function" && !field.type
+            ? { type: field }
+            : { ...field };
+        config.param ??= key;
+        config.default ??= config.type === "array" ? [] : null;
+        return [key, config];
+    }));
+
+    const subscribers = new Set();
+    let pending = null;
+    let pendingReplace = true;
+    let flushing = null;
+
+    const readUrl = () => {
+        const params = new URLSearchParams(window.location.search);
+        return Object.fromEntries(Object.entries(fields).map(([key, field]) => [key, parseQueryField(params.getAll(field.param), field)]));
+    };
+
+    const snapshot = (state) => JSON.stringify(Object.keys(fields).map(key => serializeQueryField(state[key], fields[key])));
+    const changedKeys = (before, after) => Object.keys(fields)
+        .filter(key => JSON.stringify(serializeQueryField(before[key], fields[key])) !== JSON.stringify(serializeQueryField(after[key], fields[key])));
+
+    let current = readUrl();
+
+    const notify = (previous, source) => {
+        const changed = changedKeys(previous, current);
+        if (!changed.length) return;
+        subscribers.forEach(callback => {
+            try {
+                callback(api.get(), { changed, source });
+            } catch (e) {
+                console.error("[createQueryState] Subscriber failed", e);
+            }
+        });
+    };
+
+    const flush = () => {
+        const updates = pending;
+        const replace = pendingReplace;
+        pending = null;
+        pendingReplace = true;
+        flushing = null;
+
+        const previous = readUrl();
+        const next = { ...previous, ...updates };
+        const params = new URLSearchParams(window.location.search);
+        Object.entries(fields).forEach(([key, field]) => {
+            params.delete(field.param);
+            if (snapshot({ [key]: next[key] }) === snapshot({ [key]: field.default })) return;
+            serializeQueryField(next[key], field).forEach(value => params.append(field.param, value));
+        });
+
+        navigateToQuery(params, { replace });
+        current = readUrl();
+        notify(previous, "set");
+    };
+
+    const onPopState = () => {
+        const previous = current;
+        current = readUrl();
+        notify(previous, "popstate");
+    };
+    window.addEventListener("popstate", onPopState);
+
+    const api = {
+        /**
+         * The typed state (pending updates included), or one value with `get(key)`.
+         */
+        get(key) {
+            const state = pending ? { ...readUrl(), ...pending } : readUrl();
+            return key === undefined ? state : state[key];
+        },
+
+        /**
+         * Merge `updates` into the URL. Resolves once the batched history entry is written.
+         */
+        set(updates, { replace = defaultReplace } = {}) {
+            const unknown = Object.keys(updates).filter(key => !(key in fields));
+            if (unknown.length) console.warn(`[createQueryState] Unknown field(s) ignored: ${unknown.join(", ")}`);
+
+            pending = { ...pending, ...Object.fromEntries(Object.entries(updates).filter(([key]) => key in fields)) };
+            pendingReplace = pendingReplace && replace;
+            flushing ??= Promise.resolve().then(flush);
+            return flushing;
+        },
+
+        /**
+         * Put fields (all by default) back to their defaults.
+         */
+        reset(keys = Object.keys(fields), options = {}) {
+            return api.set(Object.fromEntries(keys.map(key => [key, fields[key]?.default])), options);
+        },
+
+        /**
+         * `callback(state, { changed, source })` with `source` `"set"` or `"popstate"`. Returns an unsubscribe function.
+         */
+        subscribe(callback) {
+            subscribers.add(callback);
+            return () => subscribers.delete(callback);
+        },
+
+        /**
+         * Query string (without `?`) for the given values merged over the current state, e.g. for pagination links.
+         */
+        toString(values = {}) {
+            const state = { ...api.get(), ...values };
+            const params = new URLSearchParams(window.location.search);
+            Object.entries(fields).forEach(([key, field]) => {
+                params.delete(field.param);
+                if (snapshot({ [key]: state[key] }) === snapshot({ [key]: field.default })) return;
+                serializeQueryField(state[key], field).forEach(value => params.append(field.param, value));
+            });
+            return params.toString();
+        },
+
+        destroy() {
+            window.removeEventListener("popstate", onPopState);
+            subscribers.clear();
+        },
+    };
+
+    return api;
+}
+
+
+function parseQueryField(values, field) {
+    const { type, default: fallback } = field;
 
-    setCurrentUrl(url) {
-        if (url) {
-            window.history.pushState({}, '', url);
-        } else {
-            console.warn('Invalid URL provided to setCurrentUrl.');
+    if (type === "array") {
+        const itemField = { type: field.of || "string", default: null };
+        const items = values.flatMap(value => value === "" ? [] : [parseQueryField([value], itemField)]).filter(item => item !== null);
+        return values.length ? items : fallback;
+    }
+    if (!values.length) return fallback;
+
+    const raw = values[values.length - 1];
+    if (typeof type?.parse === "function") {
+        try {
+            return type.parse(raw) ?? fallback;
+        } catch {
+            return fallback;
         }
     }
-};
+
+    switch (type) {
+        case "number": {
+            const number = raw.trim() === "" ? NaN : Number(raw);
+            return isNaN(number) ? fallback : number;
+        }
+        case "boolean": {
+            const flag = raw.toLowerCase();
+            if (["1", "true", "yes", "on"].includes(flag)) return true;
+            if (["0", "false", "no", "off"].includes(flag)) return false;
+            return fallback;
+        }
+        case "date": {
+            const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(raw);
+            const date = match ? new Date(+match[1], match[2] - 1, +match[3]) : new Date(NaN);
+            return isNaN(date.getTime()) ? fallback : date;
+        }
+        case "datetime": {
+            const date = new Date(raw);
+            return isNaN(date.getTime()) ? fallback : date;
+        }
+        default:
+            return raw;
+    }
+}
 
 
+function serializeQueryField(value, field) {
+    const { type } = field;
+    if (value === null || value === undefined) return [];
+
+    if (type === "array") {
+        const itemField = { type: field.of || "string" };
+        return (Array.isArray(value) ? value : [value]).flatMap(item => serializeQueryField(item, itemField));
+    }
+    if (typeof type?.serialize === "function") return [String(type.serialize(value))];
+
+    if (value instanceof Date) {
+        if (isNaN(value.getTime())) return [];
+        if (type !== "date") return [value.toISOString()];
+        const pad = (n) => String(n).padStart(2, "0");
+        return [`${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`];
+    }
+    return [String(value)];
+}
 
 
 function isCSRFTokenAvailable() {
@@ -1141,53 +5469,887 @@ function safeGetElementById(id, context = document) {
 }
 
 
-const StorageHelpers = {
-    get(key, defaultValue = null, useSession = false) {
-        const store = useSession ? sessionStorage : localStorage;
-        try {
-            const item = store.getItem(key);
-            return item ? JSON.parse(item) : defaultValue;
-        } catch (e) {
-            console.warn(`[Storage] Failed to parse item: ${key}`, e);
-            return defaultValue;
+const STORAGE_BACKENDS = {};
+const STORAGE_SUBSCRIBERS = new Set();
+const STORAGE_SYNC = { listening: false, channel: undefined };
+const IDB_STORAGE_CONNECTIONS = new Map();
+// Marks createStorage envelopes; no JSON text starts with a control character, so stored data can't collide
+const STORAGE_ENTRY_MARK = "\u0001se1:";
+
+
+/**
+ * JSON wrapper over localStorage / sessionStorage with expiry, namespacing, schema versioning and quota handling.
+ *
+ * - **TTL**: entries written with a `ttl` expire; they are dropped when read (`get`, `exists`, `keys`) or by `purgeExpired()`.
+ * - **Namespaces**: keys are stored as `<namespace>:<key>`, so `clear()` only removes that namespace.
+ * - **Versioning**: when the stored `version` of the namespace is lower than `version`, `migrations[n]` runs
+ *   for each step with the store as argument (fresh namespaces just record the version).
+ * - **Quota**: when a write exceeds the quota, expired entries are purged and the least recently used
+ *   entries of the namespace are evicted until it fits (`evict: "lru"`), or the write fails (`evict: false`).
+ *   Only entries written by this store are evicted: never plain values, `__version` markers or nested and
+ *   other namespaces. The un-namespaced store shares the origin with everything else, so it only evicts
+ *   when `evict: "lru"` is passed explicitly.
+ * - **Fallback**: when the storage is blocked (private mode, sandboxed iframes) an in-memory store is used for the page's lifetime.
+ * - **Sync**: `subscribe()` reports changes made in this tab and, for localStorage, in other tabs
+ *   (through the `storage` event, or a BroadcastChannel while in the in-memory fallback). `electLeader()` picks one tab.
+ *
+ * Every method accepts a trailing `useSession` boolean that overrides the `session` option,
+ * matching the original `StorageHelpers` signature. Values without a TTL in the un-namespaced store are
+ * written as plain JSON, as before, so code reading those keys with `JSON.parse` keeps working. Other
+ * entries are stored in an envelope (expiry, last access) that only this module reads.
+ *
+ * For large values or Blobs/Files, pass `backend: "indexeddb"` here (the whole namespace becomes an async
+ * {@link createIndexedDBStorage} store) or per call (`{ backend: "indexeddb" }` in place of `useSession`,
+ * which then returns a Promise).
+ *
+ * @param {Object} [options={}]
+ * @param {string} [options.namespace=""] - Key prefix, e.g. `"shop"` or `` `shop:user-${id}` ``.
+ * @param {boolean} [options.session=false] - Use sessionStorage instead of localStorage.
+ * @param {number} [options.ttl=null] - Default lifetime of new entries in ms (`null` = no expiry).
+ * @param {number} [options.version=null] - Current schema version of the namespace.
+ * @param {Object<number, Function>} [options.migrations={}] - `{ 2: store => {...}, 3: store => {...} }`.
+ * @param {"lru"|false} [options.evict] - Quota-exceeded strategy; `"lru"` when namespaced, `false` otherwise.
+ * @param {Function} [options.onEvict] - Called with each key evicted to free space.
+ * @param {"local"|"indexeddb"} [options.backend="local"] - `"indexeddb"` returns an async store instead.
+ * @returns {Object} `{ get, set, remove, exists, keys, clear, purgeExpired, namespace, isPersistent, subscribe, electLeader }`
+ *
+ * @example
+ * const prefs = createStorage({
+ *   namespace: "shop:prefs",
+ *   version: 2,
+ *   migrations: { 2: store => store.set("theme", store.get("darkMode") ? "dark" : "light") },
+ * });
+ * prefs.set("lastSearch", "shoes", { ttl: 24 * 3600 * 1000 });
+ * prefs.clear(); // other namespaces are untouched
+ *
+ * const drafts = StorageHelpers.namespace("drafts", { backend: "indexeddb" });
+ * await drafts.set("avatar", fileInput.files[0]);
+ * await StorageHelpers.get("report.pdf", null, { backend: "indexeddb" });
+ */
+function createStorage({
+    namespace = "",
+    session = false,
+    ttl = null,
+    version = null,
+    migrations = {},
+    evict,
+    onEvict = null,
+    backend: kind = "local",
+} = {}) {
+    if (kind === "indexeddb") return createIndexedDBStorage({ namespace, ttl });
+
+    const prefix = namespace ? `${namespace}:` : "";
+    const versionKey = `${prefix}__version`;
+    const evictPolicy = evict ?? (namespace ? "lru" : false);
+    // The trailing argument of each method is `useSession` or `{ session, backend, ttl }`
+    const callOptions = (arg) => typeof arg === "boolean" ? { session: arg } : (arg || {});
+    const isSession = (arg) => {
+        const { session: useSession } = callOptions(arg);
+        return typeof useSession === "boolean" ? useSession : session;
+    };
+    const backend = (arg) => getStorageBackend(isSession(arg));
+    let asyncStore = null;
+    const useIndexedDB = (arg) => callOptions(arg).backend === "indexeddb"
+        ? (asyncStore ??= createIndexedDBStorage({ namespace, ttl }))
+        : null;
+
+    const ownKeys = (store) => {
+        const keys = [];
+        for (let i = 0; i < store.length; i++) {
+            const key = store.key(i);
+            if (key !== null && key.startsWith(prefix) && key !== versionKey) keys.push(key);
         }
-    },
+        return keys;
+    };
+
+    const read = (store, key) => parseStorageItem(store.getItem(key));
+
+    const purgeExpired = (useSession) => {
+        const store = backend(useSession);
+        let removed = 0;
+        ownKeys(store).forEach(key => {
+            try {
+                const entry = read(store, key);
+                if (entry && isStorageEntryExpired(entry)) {
+                    store.removeItem(key);
+                    removed++;
+                }
+            } catch {
+                // Not ours or not JSON: leave it alone
+            }
+        });
+        return removed;
+    };
 
-    set(key, value, useSession = false) {
-        const store = useSession ? sessionStorage : localStorage;
+    const write = (store, key, item) => {
         try {
-            store.setItem(key, JSON.stringify(value));
+            store.setItem(key, item);
             return true;
         } catch (e) {
-            console.error(`[Storage] Failed to set item: ${key}`, e);
-            return false;
+            if (!isQuotaError(e) || !evictPolicy) throw e;
         }
-    },
 
-    remove(key, useSession = false) {
-        const store = useSession ? sessionStorage : localStorage;
+        purgeExpired(store === STORAGE_BACKENDS.sessionStorage);
+        // Entries are tagged with the namespace that wrote them: nested namespaces share the prefix
+        const candidates = ownKeys(store)
+            .filter(other => other !== key && !other.endsWith("__version"))
+            .map(other => {
+                const raw = store.getItem(other);
+                try {
+                    return isStorageEntry(raw) ? { key: other, entry: parseStorageItem(raw) } : null;
+                } catch {
+                    return null;
+                }
+            })
+            .filter(candidate => candidate && candidate.entry.$a > 0 && candidate.entry.$n === namespace)
+            .map(({ key: other, entry }) => ({ key: other, accessed: entry.$a }))
+            .sort((a, b) => a.accessed - b.accessed);
+
+        while (true) {
+            try {
+                store.setItem(key, item);
+                return true;
+            } catch (e) {
+                if (!isQuotaError(e) || !candidates.length) throw e;
+                const victim = candidates.shift().key;
+                store.removeItem(victim);
+                onEvict?.(victim.slice(prefix.length));
+            }
+        }
+    };
+
+    const api = {
+        get(key, defaultValue = null, useSession) {
+            if (useIndexedDB(useSession)) return asyncStore.get(key, defaultValue);
+            const store = backend(useSession);
+            try {
+                const entry = read(store, prefix + key);
+                if (entry === undefined) return defaultValue;
+                if (isStorageEntryExpired(entry)) {
+                    store.removeItem(prefix + key);
+                    return defaultValue;
+                }
+                // Refresh the LRU timestamp, at most once a minute to keep reads cheap
+                if (entry.$a && Date.now() - entry.$a > 60000) {
+                    entry.$a = Date.now();
+                    try {
+                        store.setItem(prefix + key, serializeStorageEntry(entry));
+                    } catch {
+                        // Best effort
+                    }
+                }
+                return entry.$v;
+            } catch (e) {
+                console.warn(`[Storage] Failed to parse item: ${prefix + key}`, e);
+                return defaultValue;
+            }
+        },
+
+        /**
+         * @param {string} key
+         * @param {*} value - Must be JSON-serializable.
+         * @param {boolean|{ ttl?: number, session?: boolean, backend?: string }} [options] - `useSession` boolean or options.
+         * @returns {boolean|Promise<boolean>} A Promise with `backend: "indexeddb"`.
+         */
+        set(key, value, options) {
+            if (useIndexedDB(options)) return asyncStore.set(key, value, callOptions(options));
+            const { ttl: lifetime = ttl, session: useSession } = callOptions(options);
+            const entry = { $v: value, $e: lifetime ? Date.now() + lifetime : null, $a: Date.now(), $n: namespace };
+            const plain = !namespace && !entry.$e && !evictPolicy;
+            const store = backend(useSession);
+            try {
+                const oldItem = store.getItem(prefix + key);
+                write(store, prefix + key, plain ? JSON.stringify(value) : serializeStorageEntry(entry));
+                notifyStorageChange(prefix + key, oldItem, store.getItem(prefix + key), isSession(useSession));
+                return true;
+            } catch (e) {
+                console.error(`[Storage] Failed to set item: ${prefix + key}`, e);
+                return false;
+            }
+        },
+
+        remove(key, useSession) {
+            if (useIndexedDB(useSession)) return asyncStore.remove(key);
+            const store = backend(useSession);
+            try {
+                const oldItem = store.getItem(prefix + key);
+                store.removeItem(prefix + key);
+                if (oldItem !== null) notifyStorageChange(prefix + key, oldItem, null, isSession(useSession));
+                return true;
+            } catch (e) {
+                console.error(`[Storage] Failed to remove item: ${prefix + key}`, e);
+                return false;
+            }
+        },
+
+        exists(key, useSession) {
+            if (useIndexedDB(useSession)) return asyncStore.exists(key);
+            const missing = {};
+            return api.get(key, missing, useSession) !== missing;
+        },
+
+        /**
+         * Keys of the live entries in this namespace (without the prefix).
+         */
+        keys(useSession) {
+            purgeExpired(useSession);
+            return ownKeys(backend(useSession)).map(key => key.slice(prefix.length));
+        },
+
+        /**
+         * Remove every entry of this namespace (everything, for the un-namespaced store).
+         */
+        clear(useSession) {
+            const store = backend(useSession);
+            ownKeys(store).forEach(key => {
+                const oldItem = store.getItem(key);
+                store.removeItem(key);
+                notifyStorageChange(key, oldItem, null, isSession(useSession));
+            });
+            return true;
+        },
+
+        purgeExpired,
+
+        /**
+         * A store nested under this one (`"app"` → `"app:user-1"`), sharing its options.
+         */
+        namespace(name, options = {}) {
+            return createStorage({ session, ttl, evict, onEvict, ...options, namespace: prefix + name });
+        },
+
+        /**
+         * `false` when the browser storage is blocked and values only live in memory.
+         */
+        isPersistent(useSession) {
+            return !backend(useSession).inMemory;
+        },
+
+        /**
+         * Watch a key (or every key of the namespace with `"*"`) for changes from this tab or other tabs.
+         *
+         * @param {string} key
+         * @param {Function} callback - `(newValue, oldValue, { key, fromOtherTab })`; `newValue` is `null` once removed.
+         * @param {boolean} [useSession] - sessionStorage is per tab, so only same-tab changes are reported for it.
+         * @returns {Function} Unsubscribe.
+         *
+         * @example
+         * StorageHelpers.subscribe("auth", (auth) => { if (!auth) location.assign("/login/"); });
+         * StorageHelpers.namespace("cart").subscribe("*", renderCart);
+         */
+        subscribe(key, callback, useSession) {
+            const subscriber = {
+                key: key === "*" ? null : prefix + key,
+                prefix,
+                exclude: versionKey,
+                session: isSession(useSession),
+                callback,
+            };
+            STORAGE_SUBSCRIBERS.add(subscriber);
+            listenForStorageEvents();
+            return () => STORAGE_SUBSCRIBERS.delete(subscriber);
+        },
+
+        /**
+         * Elect one leader among the open tabs (e.g. the only one that polls or keeps a socket open).
+         *
+         * The leader holds a lease in this store and renews it every `heartbeat` ms. When it closes or stops
+         * renewing, the lease expires after `ttl` ms and another tab takes over. localStorage only.
+         *
+         * @param {string} name - Election name.
+         * @param {Object} [options={}]
+         * @param {Function} [options.onChange] - Called with `true`/`false` whenever this tab gains or loses leadership.
+         * @param {number} [options.heartbeat=1000]
+         * @param {number} [options.ttl=3000]
+         * @returns {{ id: string, isLeader: Function, release: Function }}
+         *
+         * @example
+         * StorageHelpers.electLeader("notifications", { onChange: (leader) => leader ? socket.open() : socket.close() });
+         */
+        electLeader(name, { onChange = null, heartbeat = 1000, ttl: leaseTtl = 3000 } = {}) {
+            const key = `__leader:${name}`;
+            const id = generateId("tab-");
+            let leader = false;
+            let stopped = false;
+            let timer = null;
+
+            const setLeader = (value) => {
+                if (value === leader) return;
+                leader = value;
+                onChange?.(leader);
+            };
+
+            const claim = async () => {
+                if (stopped) return;
+                const lease = api.get(key, null, false);
+                if (!lease || lease.id === id) {
+                    api.set(key, { id }, { ttl: leaseTtl, session: false });
+                    // Two tabs may claim at once: the last write wins, so confirm after a moment
+                    if (!leader) await wait(50);
+                }
+                if (!stopped) setLeader(api.get(key, null, false)?.id === id);
+            };
+
+            const release = () => {
+                if (stopped) return;
+                stopped = true;
+                clearInterval(timer);
+                unsubscribe();
+                if (typeof window !== "undefined") window.removeEventListener?.("pagehide", release);
+                if (api.get(key, null, false)?.id === id) api.remove(key, false);
+                setLeader(false);
+            };
+
+            const unsubscribe = api.subscribe(key, (lease) => {
+                if (!lease) claim();
+                else if (lease.id !== id) setLeader(false);
+            }, false);
+            timer = setInterval(claim, heartbeat);
+            if (typeof window !== "undefined") window.addEventListener?.("pagehide", release);
+            claim();
+
+            return {
+                id,
+                isLeader: () => leader,
+                release,
+            };
+        },
+    };
+
+    if (version !== null) migrateStorage(api, backend(), versionKey, ownKeys, version, migrations);
+
+    return api;
+}
+
+
+function migrateStorage(api, store, versionKey, ownKeys, version, migrations) {
+    const current = Number(store.getItem(versionKey)) || 0;
+
+    if (current > version) {
+        console.warn(`[Storage] "${versionKey}" is at v${current}, newer than v${version}; leaving data as is.`);
+        return;
+    }
+    if (current === version) return;
+    if (current === 0 && !ownKeys(store).length) {
+        store.setItem(versionKey, String(version));
+        return;
+    }
+
+    for (let step = current + 1; step <= version; step++) {
         try {
-            store.removeItem(key);
+            migrations[step]?.(api);
+            store.setItem(versionKey, String(step));
+        } catch (e) {
+            console.error(`[Storage] Migration to v${step} failed for "${versionKey}"`, e);
+            return;
+        }
+    }
+}
+
+
+/**
+ * Async key/value store on IndexedDB, with the same `get/set/remove/exists` surface as {@link StorageHelpers}.
+ *
+ * Values are stored with the structured clone algorithm, so Blobs, Files, Dates, Maps and typed arrays
+ * round-trip as is, and the quota is far larger than localStorage's. Keys are strings, kept in order,
+ * so ranges can be read with `entries()` / `iterate()`.
+ *
+ * @param {Object} [options={}]
+ * @param {string} [options.namespace=""] - Key prefix; `clear()` and ranges stay inside it.
+ * @param {number} [options.ttl=null] - Default lifetime of new entries in ms.
+ * @param {string} [options.dbName="utils-storage"] - IndexedDB database name.
+ * @returns {Object} `{ get, set, remove, exists, keys, entries, iterate, clear, purgeExpired, namespace, isPersistent }`
+ *
+ * @example
+ * const files = createIndexedDBStorage({ namespace: "uploads" });
+ * await files.set("draft:cv", file, { ttl: 7 * 864e5 });
+ * const blob = await files.get("draft:cv");
+ * const drafts = await files.entries({ prefix: "draft:" }); // → [["draft:cv", File], ...]
+ */
+function createIndexedDBStorage({ namespace = "", ttl = null, dbName = "utils-storage" } = {}) {
+    const storeName = "entries";
+    const prefix = namespace ? `${namespace}:` : "";
+    const now = () => Date.now();
+    const isExpired = (record) => record.expires !== null && record.expires <= now();
+
+    const withStore = (mode, fn) => {
+        if (!IDB_STORAGE_CONNECTIONS.has(dbName)) {
+            const connection = openIndexedDB(dbName, { stores: [{ name: storeName }] });
+            connection.catch(() => IDB_STORAGE_CONNECTIONS.delete(dbName));
+            IDB_STORAGE_CONNECTIONS.set(dbName, connection);
+        }
+        return IDB_STORAGE_CONNECTIONS.get(dbName).then(db => idbTransaction(db, storeName, mode, fn));
+    };
+
+    // Keys of this namespace, optionally narrowed to [lower, upper] or to a key prefix
+    const keyRange = ({ lower, upper, prefix: keyPrefix } = {}) => {
+        if (keyPrefix !== undefined) {
+            lower = keyPrefix;
+            upper = `${keyPrefix}\uffff`;
+        }
+        const from = prefix + (lower ?? "");
+        const to = upper !== undefined ? prefix + upper : prefix ? `${prefix}\uffff` : null;
+        if (to === null) return lower !== undefined ? IDBKeyRange.lowerBound(from) : null;
+        return IDBKeyRange.bound(from, to);
+    };
+
+    /**
+     * Walk the matching entries in key order inside one transaction, deleting expired ones on the way.
+     * `callback(value, key)` must be synchronous; returning `false` stops the walk.
+     */
+    const iterate = (callback, { lower, upper, prefix: keyPrefix, reverse = false } = {}) => withStore("readwrite", store => {
+        const request = store.openCursor(keyRange({ lower, upper, prefix: keyPrefix }), reverse ? "prev" : "next");
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            if (isExpired(cursor.value)) {
+                cursor.delete();
+            } else if (callback(cursor.value.value, cursor.key.slice(prefix.length)) === false) {
+                return;
+            }
+            cursor.continue();
+        };
+    }).then(() => undefined);
+
+    const api = {
+        async get(key, defaultValue = null) {
+            try {
+                const record = await withStore("readonly", store => store.get(prefix + key));
+                if (!record) return defaultValue;
+                if (isExpired(record)) {
+                    await api.remove(key);
+                    return defaultValue;
+                }
+                return record.value;
+            } catch (e) {
+                console.warn(`[Storage] Failed to read item: ${prefix + key}`, e);
+                return defaultValue;
+            }
+        },
+
+        async set(key, value, { ttl: lifetime = ttl } = {}) {
+            try {
+                const record = { value, expires: lifetime ? now() + lifetime : null, updatedAt: now() };
+                await withStore("readwrite", store => store.put(record, prefix + key));
+                return true;
+            } catch (e) {
+                console.error(`[Storage] Failed to set item: ${prefix + key}`, e);
+                return false;
+            }
+        },
+
+        async remove(key) {
+            try {
+                await withStore("readwrite", store => store.delete(prefix + key));
+                return true;
+            } catch (e) {
+                console.error(`[Storage] Failed to remove item: ${prefix + key}`, e);
+                return false;
+            }
+        },
+
+        async exists(key) {
+            const missing = {};
+            return (await api.get(key, missing)) !== missing;
+        },
+
+        /**
+         * Entries as `[key, value]` pairs, in key order.
+         *
+         * @param {Object} [range] - `{ lower, upper }` (inclusive) or `{ prefix }`, plus `reverse` and `limit`.
+         */
+        async entries({ limit = Infinity, ...range } = {}) {
+            const found = [];
+            await iterate((value, key) => {
+                found.push([key, value]);
+                return found.length < limit;
+            }, range);
+            return found;
+        },
+
+        async keys(range = {}) {
+            return (await api.entries(range)).map(([key]) => key);
+        },
+
+        iterate,
+
+        async clear() {
+            try {
+                await withStore("readwrite", store => {
+                    const range = keyRange();
+                    return range ? store.delete(range) : store.clear();
+                });
+                return true;
+            } catch (e) {
+                console.error(`[Storage] Failed to clear: ${namespace || dbName}`, e);
+                return false;
+            }
+        },
+
+        async purgeExpired() {
+            let before = 0;
+            await withStore("readonly", store => store.count(keyRange())).then(count => before = count);
+            await iterate(() => {});
+            const after = await withStore("readonly", store => store.count(keyRange()));
+            return before - after;
+        },
+
+        namespace(name, options = {}) {
+            return createIndexedDBStorage({ ttl, dbName, ...options, namespace: prefix + name });
+        },
+
+        isPersistent() {
             return true;
+        },
+    };
+
+    return api;
+}
+
+
+// Envelopes are STORAGE_ENTRY_MARK + { $v: value, $e: expiresAt|null, $a: lastAccess, $n: namespace };
+// anything else is plain JSON and read as is
+function isStorageEntry(item) {
+    return typeof item === "string" && item.startsWith(STORAGE_ENTRY_MARK);
+}
+
+
+function serializeStorageEntry(entry) {
+    return STORAGE_ENTRY_MARK + JSON.stringify(entry);
+}
+
+
+function parseStorageItem(item) {
+    if (item === null || item === undefined || item === "") return undefined;
+    if (isStorageEntry(item)) return JSON.parse(item.slice(STORAGE_ENTRY_MARK.length));
+    return { $v: JSON.parse(item), $e: null, $a: 0 };
+}
+
+
+function isStorageEntryExpired(entry) {
+    return entry.$e !== null && entry.$e <= Date.now();
+}
+
+
+function storageItemValue(item) {
+    try {
+        const entry = parseStorageItem(item);
+        return !entry || isStorageEntryExpired(entry) ? null : entry.$v;
+    } catch {
+        return item ?? null;
+    }
+}
+
+
+/**
+ * Tell subscribers about a change. Same-tab changes to the in-memory localStorage fallback are also
+ * broadcast, since other tabs get no `storage` event for them.
+ */
+function notifyStorageChange(key, oldItem, newItem, session, fromOtherTab = false) {
+    if (!fromOtherTab && !session && STORAGE_BACKENDS.localStorage?.inMemory) {
+        getStorageChannel()?.postMessage({ key, item: newItem });
+    }
+    if (key !== null && JSON.stringify(storageItemValue(oldItem)) === JSON.stringify(storageItemValue(newItem))) return;
+
+    STORAGE_SUBSCRIBERS.forEach(subscriber => {
+        if (subscriber.session !== session) return;
+        const matches = subscriber.key === null
+            ? key === null || (key.startsWith(subscriber.prefix) && key !== subscriber.exclude)
+            : key === null || key === subscriber.key;
+        if (!matches) return;
+
+        const changedKey = key ?? subscriber.key;
+        try {
+            subscriber.callback(
+                key === null ? storageItemValue(getStorageBackend(session).getItem(changedKey)) : storageItemValue(newItem),
+                key === null ? undefined : storageItemValue(oldItem),
+                { key: changedKey === null ? null : changedKey.slice(subscriber.prefix.length), fromOtherTab },
+            );
         } catch (e) {
-            console.error(`[Storage] Failed to remove item: ${key}`, e);
-            return false;
+            console.error(`[Storage] Subscriber for "${changedKey}" failed`, e);
         }
-    },
+    });
+}
+
+
+function listenForStorageEvents() {
+    if (STORAGE_SYNC.listening || typeof window === "undefined" || !window.addEventListener) return;
+    STORAGE_SYNC.listening = true;
+
+    window.addEventListener("storage", (event) => {
+        const local = getStorageBackend(false);
+        if (local.inMemory || (event.storageArea && event.storageArea !== local)) return;
+        notifyStorageChange(event.key, event.oldValue, event.newValue, false, true);
+    });
+    getStorageBackend(false);
+    if (STORAGE_BACKENDS.localStorage.inMemory) getStorageChannel();
+}
+
+
+/**
+ * BroadcastChannel that keeps the in-memory localStorage fallback of every tab in sync.
+ */
+function getStorageChannel() {
+    if (STORAGE_SYNC.channel !== undefined) return STORAGE_SYNC.channel;
+    if (typeof BroadcastChannel === "undefined") return STORAGE_SYNC.channel = null;
+
+    const channel = new BroadcastChannel("utils-storage");
+    channel.onmessage = ({ data }) => {
+        const store = STORAGE_BACKENDS.localStorage;
+        if (!store?.inMemory || !data || typeof data.key !== "string") return;
+
+        const oldItem = store.getItem(data.key);
+        if (data.item === null) store.removeItem(data.key);
+        else store.setItem(data.key, data.item);
+        notifyStorageChange(data.key, oldItem, data.item, false, true);
+    };
+    return STORAGE_SYNC.channel = channel;
+}
 
-    exists(key, useSession = false) {
-        const store = useSession ? sessionStorage : localStorage;
-        return store.getItem(key) !== null;
+
+function isQuotaError(e) {
+    return !!e && (e.name === "QuotaExceededError" || e.name === "NS_ERROR_DOM_QUOTA_REACHED" || e.code === 22 || e.code === 1014);
+}
+
+
+/**
+ * localStorage / sessionStorage, or an in-memory stand-in when access is denied.
+ */
+function getStorageBackend(useSession = false) {
+    const type = useSession ? "sessionStorage" : "localStorage";
+    if (STORAGE_BACKENDS[type]) return STORAGE_BACKENDS[type];
+
+    let store = null;
+    try {
+        store = globalThis[type];
+        const probe = "__storage_probe__";
+        store.setItem(probe, probe);
+        store.removeItem(probe);
+    } catch (e) {
+        // A full but working storage is still better than memory
+        if (!(store && isQuotaError(e) && store.length > 0)) {
+            console.warn(`[Storage] ${type} is unavailable, keeping data in memory for this page.`, e);
+            store = createMemoryStorage();
+        }
     }
-};
+    STORAGE_BACKENDS[type] = store;
+    if (store.inMemory && !useSession) getStorageChannel();
+    return store;
+}
+
+
+/**
+ * Minimal Storage implementation backed by a Map.
+ */
+function createMemoryStorage() {
+    const items = new Map();
+
+    return {
+        inMemory: true,
+        get length() {
+            return items.size;
+        },
+        key: (index) => [...items.keys()][index] ?? null,
+        getItem: (key) => items.has(String(key)) ? items.get(String(key)) : null,
+        setItem: (key, value) => void items.set(String(key), String(value)),
+        removeItem: (key) => void items.delete(String(key)),
+        clear: () => items.clear(),
+    };
+}
+
+
+const StorageHelpers = createStorage();
+
+/**
+ * Open (and create or upgrade if needed) an IndexedDB database.
+ * `stores` lists the object stores it must contain: `{ name, keyPath?, autoIncrement? }`.
+ */
+function openIndexedDB(name, { version = 1, stores = [] } = {}) {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === "undefined") {
+            return reject(new Error("IndexedDB is not available in this environment"));
+        }
+
+        const request = indexedDB.open(name, version);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            stores.forEach(({ name: storeName, keyPath, autoIncrement = false }) => {
+                if (!db.objectStoreNames.contains(storeName)) {
+                    db.createObjectStore(storeName, keyPath ? { keyPath, autoIncrement } : { autoIncrement });
+                }
+            });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error(`IndexedDB "${name}" is blocked by another open connection`));
+    });
+}
+
+
+/**
+ * Run `fn(store)` in a transaction and resolve with the result of the IDBRequest it returns
+ * (or with its plain return value) once the transaction has committed.
+ */
+function idbTransaction(db, storeName, mode, fn) {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const result = fn(tx.objectStore(storeName));
+
+        tx.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error("IndexedDB transaction aborted"));
+    });
+}
+
+
+/**
+ * Check that a string is a usable absolute URL, using the browser's URL parser (WHATWG).
+ *
+ * Accepts what browsers accept: `localhost`, IPv4/IPv6 hosts, ports, IDN domains, parentheses in paths...
+ * and rejects strings without a protocol (`example.com`) unless `requireProtocol` is off.
+ *
+ * @param {string} str
+ * @param {Object} [options={}]
+ * @param {string[]} [options.protocols=["http", "https"]] - Allowed schemes; keeps `javascript:` and `data:` links out.
+ * @param {boolean} [options.requireProtocol=true] - When `false`, `example.com/page` is read as `https://example.com/page`.
+ * @param {boolean} [options.requireTLD=false] - Require a dotted host with a real TLD (no `localhost`, no IP).
+ * @param {boolean} [options.allowPrivate=true] - When `false`, reject loopback, private-network and link-local hosts.
+ * @param {string|boolean} [options.base] - Resolve relative URLs against this base (`true` = the current page).
+ * @returns {boolean}
+ *
+ * @example
+ * isURL("http://localhost:8000/admin/");                                 // → true
+ * isURL("https://en.wikipedia.org/wiki/Foo_(bar)");                      // → true
+ * isURL("example.com");                                                  // → false
+ * isURL("javascript:alert(1)");                                          // → false
+ * isURL("http://192.168.1.10/", { allowPrivate: false });                // → false
+ * isURL("/products/?page=2", { base: true });                            // → true
+ */
+function isURL(str, options = {}) {
+    return parseURLStrict(str, options) !== null;
+}
+
+
+/**
+ * Normalize a URL so equivalent links compare equal: lowercase (punycode) host, default port dropped,
+ * tracking params removed, query sorted. Returns `null` when the input is not a valid URL for the
+ * given {@link isURL} options, which makes it suitable for user-submitted links.
+ *
+ * @param {string} str
+ * @param {Object} [options={}] - {@link isURL} options, plus:
+ * @param {Array<string|RegExp>} [options.stripParams] - Params to drop (default: `utm_*`, `fbclid`, `gclid` and other click ids).
+ * @param {boolean} [options.sortQuery=true]
+ * @param {boolean} [options.removeHash=false]
+ * @param {boolean} [options.removeTrailingSlash=false] - `/path/` → `/path` (the root `/` is kept).
+ * @returns {string|null}
+ *
+ * @example
+ * normalizeURL("HTTPS://Example.COM:443/shop?utm_source=x&b=2&a=1#top");
+ * // → "https://example.com/shop?a=1&b=2#top"
+ */
+function normalizeURL(str, {
+    stripParams = TRACKING_PARAMS,
+    sortQuery = true,
+    removeHash = false,
+    removeTrailingSlash = false,
+    ...options
+} = {}) {
+    const url = parseURLStrict(str, options);
+    if (!url) return null;
+
+    [...new Set(url.searchParams.keys())]
+        .filter(key => stripParams.some(rule => rule instanceof RegExp ? rule.test(key) : rule === key))
+        .forEach(key => url.searchParams.delete(key));
+    if (sortQuery) url.searchParams.sort();
+    if (![...url.searchParams.keys()].length) url.search = "";
+
+    if (removeHash) url.hash = "";
+    if (removeTrailingSlash && url.pathname.length > 1) url.pathname = url.pathname.replace(/\/+$/, "");
+
+    return url.href;
+}
+
+
+const TRACKING_PARAMS = [/^utm_/i, "fbclid", "gclid", "dclid", "gbraid", "wbraid", "msclkid", "mc_cid", "mc_eid", "igshid", "_hsenc", "_hsmi"];
+// Schemes written without "//"; anything else before a colon may be a host with a port ("localhost:8000")
+const OPAQUE_URL_SCHEMES = ["mailto", "tel", "sms", "data", "javascript", "vbscript", "blob", "about", "urn", "geo", "magnet"];
+
+
+/**
+ * Parse `str` into a URL object, or `null` if it fails any of the {@link isURL} checks.
+ */
+function parseURLStrict(str, {
+    protocols = ["http", "https"],
+    requireProtocol = true,
+    requireTLD = false,
+    allowPrivate = true,
+    base,
+} = {}) {
+    if (typeof str !== "string" || !str.trim() || /\s/.test(str.trim())) return null;
+
+    let input = str.trim();
+    const allowed = protocols.map(protocol => protocol.toLowerCase().replace(/:?$/, ":"));
+    const scheme = input.match(/^([a-z][a-z\d+.-]*):/i)?.[1].toLowerCase();
+    const hasScheme = !!scheme && (/^[a-z][a-z\d+.-]*:\/\//i.test(input)
+        || allowed.includes(`${scheme}:`) || OPAQUE_URL_SCHEMES.includes(scheme));
+    const baseURL = base === true && typeof window !== "undefined" ? window.location.href : base || undefined;
+
+    if (!hasScheme && !baseURL) {
+        if (requireProtocol) return null;
+        input = `https://${input.replace(/^\/\//, "")}`;
+    }
+
+    let url;
+    try {
+        url = new URL(input, hasScheme ? undefined : baseURL);
+    } catch {
+        return null;
+    }
+
+    if (!allowed.includes(url.protocol)) return null;
+
+    const host = url.hostname;
+    const special = ["http:", "https:", "ftp:", "ws:", "wss:"].includes(url.protocol);
+    if (special && !host) return null;
+
+    if (host) {
+        const isIP = /^\[.*\]$/.test(host) || /^\d{1,3}(\.\d{1,3}){3}$/.test(host);
+        if (requireTLD && (isIP || !/\.([a-z]{2,63}|xn--[a-z\d-]{2,59})$/i.test(host))) return null;
+        if (!allowPrivate && isPrivateHost(host)) return null;
+    }
+
+    return url;
+}
+
 
-function isURL(str) {
-    const pattern = new RegExp(`^((ft|htt)ps?:\\/\\/)?` + // protocol
-        `((([a-z\\d]([a-z\\d-]*[a-z\\d])*)\\.)+[a-z]{2,}|` + // domain name and extension
-        `((\\d{1,3}\\.){3}\\d{1,3}))` + // OR ip (v4) address
-        `(\\:\\d+)?` + // port
-        `(\\/[-a-z\\d%@_.~+&:]*)*` + // path
-        `(\\?[;&a-z\\d%@_.,~+&:=-]*)?` + // query string
-        `(\\#[-a-z\\d_]*)?$`, `i`); // fragment locator
-    return pattern.test(str);
-}
\ No newline at end of file
+/**
+ * Loopback, private-network, link-local and local-only hostnames (as normalized by the URL parser).
+ */
+function isPrivateHost(host) {
+    const name = host.toLowerCase().replace(/\.$/, "");
+    if (name === "localhost" || name.endsWith(".localhost") || name.endsWith(".local") || name.endsWith(".internal")) return true;
+
+    const ipv4 = name.match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+    if (ipv4) {
+        const [a, b] = [Number(ipv4[1]), Number(ipv4[2])];
+        return a === 0 || a === 10 || a === 127
+            || (a === 169 && b === 254)
+            || (a === 172 && b >= 16 && b <= 31)
+            || (a === 192 && b === 168)
+            || (a === 100 && b >= 64 && b <= 127);
+    }
+
+    if (name.startsWith("[")) {
+        const ipv6 = name.slice(1, -1);
+        if (ipv6 === "::" || ipv6 === "::1") return true;
+        // IPv4-mapped addresses (::ffff:7f00:1 is how the parser writes ::ffff:127.0.0.1)
+        const mapped = ipv6.match(/^::ffff:([\da-f]{1,4}):([\da-f]{1,4})$/);
+        if (mapped) {
+            const [high, low] = [parseInt(mapped[1], 16), parseInt(mapped[2], 16)];
+            return isPrivateHost(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+        }
+        return /^f[cd][\da-f]{2}:/.test(ipv6) || /^fe[89ab][\da-f]:/.test(ipv6);
+    }
+
+    return false;
+}